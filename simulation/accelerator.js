@@ -0,0 +1,444 @@
+/**
+ * Emergence Simulation System
+ * @author Marceline Peters / https://github.com/marcinas
+ * see readme for additional credits
+ */
+
+
+
+/**************************************************************/
+/**************************************************************/
+/*******************      ACCELERATOR       *******************/
+/**************************************************************/
+/**************************************************************/
+
+/**
+ * Runs the per-monad physics of the synchronous update (see synchrony.js) in fragment shaders with
+ * the GPUComputationRenderer, when controls.generation.gpu is on and the simulation renders on the
+ * main thread. Every monad is one texel of the textures (monad index = x + y * width), and the GPU
+ * does the two phases that touch every monad every tick:
+ *
+ *      detection       each interacting monad's cell is keyed as its zone (see Zones.updateZone),
+ *                      the keys are sorted (bitonic sort, one pass per step), and every monad
+ *                      searches the 27 cells around its own for overlapping monads; up to four
+ *                      contacts are read back per monad (see detect())
+ *      integration     bond displacement, speed limit, velocity, and toroidal wrapping, as in
+ *                      Monad.checkVelocity(-1,false), updatePosition, and checkBounds (see integrate())
+ *
+ * Everything in between--bonds, merges, absorptions, bounces, emissions--stays on the CPU, so
+ * the monads remain the authority: the textures are filled from them before each phase and read
+ * back into them after it. Monads the GPU can't handle exactly are detected by the CPU instead:
+ * those with radius of at least half the zoning (as Zones.checkCollisions searches further for
+ * them) and those with more contacts, or more monads in a neighboring cell, than the shaders hold.
+ *
+ * The GPU computes in single precision, so runs agree with CPU runs of the same id only to float
+ * precision; with controls.debug.system.accelerator on, every tick is also computed by the CPU
+ * and the differences are reported (see verify()), e.g. on a software renderer such as Chrome's
+ * with --use-gl=swiftshader.
+ *
+ * @param {Emergence} simulation        the simulation whose monads to compute
+ * @param {WebGLRenderer} renderer      the renderer to compute with
+ */
+function Accelerator(simulation, renderer)
+{   //local variables
+    var count = simulation.MAX;
+    var width = Math.pow(2, Math.ceil(log(2, count) / 2));
+    var height = count / width;
+
+    /** Simulation memory reference */
+    this.simulation = simulation;
+    /** Renderer memory reference */
+    this.renderer = renderer;
+    /** Texels per texture row */
+    this.width = width;
+    /** Texture rows */
+    this.height = height;
+    /** The computation renderer whose passes and textures are used */
+    this.compute = new GPUComputationRenderer(width, height, renderer);
+    /** Monad positions (x, y, z) and radius (w), filled before each phase */
+    this.positions = this.compute.createTexture();
+    /** Monad velocities (x, y, z) and whether the monad moves this tick (w), filled before integration */
+    this.velocities = this.compute.createTexture();
+    /** Monad mass (x), whether it can be collided with (y), and whether it searches for collisions (z) */
+    this.attributes = this.compute.createTexture();
+    /** Sorted cell keys (x) and monad indexes (y), ping-ponged between the two targets while sorting */
+    this.sorted = [this.compute.createRenderTarget(), this.compute.createRenderTarget()];
+    /** Up to four contacts per monad, -1 for none, or -2 throughout if the CPU must search instead */
+    this.contacts = this.compute.createRenderTarget();
+    /** Velocities after the speed limit */
+    this.moved = this.compute.createRenderTarget();
+    /** Positions after integration */
+    this.integrated = this.compute.createRenderTarget();
+    /** Read back texels (four floats per monad) */
+    this.buffer = new Float32Array(count * 4);
+    /** What the CPU would have computed this tick, when verifying (see verify()) */
+    this.expected = { pairs: {}, positions: null };
+    /** Totals of the verification so far: ticks, pairs both found, and the differences */
+    this.verification = { ticks: 0, pairs: 0, missed: 0, extra: 0, error: 0 };
+
+    //shaders (see index.html)
+    this.materials = {
+        key: this.material('keyShader', ['texturePosition', 'textureAttributes', 'size', 'zoning', 'zones']),
+        sort: this.material('sortShader', ['textureSort', 'block', 'span']),
+        contact: this.material('contactShader', ['texturePosition', 'textureAttributes', 'textureSort', 'size', 'zoning', 'zones', 'doubling']),
+        velocity: this.material('velocityShader', ['textureVelocity', 'maxSpeed']),
+        position: this.material('positionShader', ['texturePosition', 'textureVelocity', 'size'])
+    };
+    this.materials.contact.defines.COUNT = count.toFixed(1);
+    this.materials.contact.defines.SEARCH = Math.ceil(log(2, count)) + 1;
+    this.materials.contact.defines.CELLS = Accelerator.CELLS;
+
+    //make sure the GPU can compute at all: float textures, rendered and read back exactly
+    if (!renderer.extensions.get("OES_texture_float"))
+        throw new Error("No OES_texture_float support for float textures.");
+    if (this.contacts.texture.type !== THREE.FloatType)
+        throw new Error("Only half float render targets, which can't hold monad indexes.");
+    for (var i = 0; i < this.buffer.length; i++)
+        this.positions.image.data[i] = i;
+    this.positions.needsUpdate = true;
+    this.compute.renderTexture(this.positions, this.integrated);
+    this.read(this.integrated);
+    for (i = 0; i < this.buffer.length; i++)
+        if (this.buffer[i] !== i) throw new Error("Float render targets can't be read back exactly.");
+}
+
+/** Monads searched per neighboring cell before the CPU is left to search instead */
+Accelerator.CELLS = 64;
+/** The cell keys that floats hold exactly (every zone, plus one key for monads that can't collide) */
+Accelerator.KEYS = Math.pow(2, 24);
+
+/**
+ * Creates the material of one of the shaders in index.html.
+ *
+ * @param {string} id           the id of the shader's script element
+ * @param {string[]} uniforms   the names of the shader's uniforms
+ *
+ * @return {ShaderMaterial} the material
+ */
+Accelerator.prototype.material = function(id, uniforms)
+{
+    var values = {};
+    for (var u = 0; u < uniforms.length; u++)
+        values[uniforms[u]] = { value: null };
+    return this.compute.createShaderMaterial(document.getElementById(id).textContent, values);
+}
+
+/**
+ * Returns whether the GPU can search the given zones: keys must be exact and the 27 cells around
+ * any cell must all be different cells (at least three zones per side). The shaders only know the
+ * cubic three-torus, so other world boundaries and shapes, and worlds with obstacles, are left to
+ * the CPU.
+ *
+ * @param {Zones} zones     the zones of the simulation
+ *
+ * @return {boolean} whether the zones fit
+ */
+Accelerator.prototype.fits = function(zones)
+{
+    return zones.toroid && !zones.obstacles.length && zones.extent.x === zones.size && zones.extent.y === zones.size && zones.extent.z === zones.size &&
+           zones.length >= 3 && Math.pow(zones.length, 3) < Accelerator.KEYS;
+}
+
+/**
+ * Finds the colliding pairs of the tick on the GPU and hands them to the simulation's synchrony
+ * (see Synchrony.collide). Called by Synchrony.update() in place of its collision detection, with
+ * zones.synchrony set. Every interacting monad (Synchrony.states.INTERACT) searches for monads that
+ * can be collided with, as Zones.collideInZone would; bonded pairs are left out on the CPU.
+ * Continuous collisions (see Zones.sweep) are only detected by the CPU.
+ *
+ * @return {boolean} false if the CPU must detect instead (collisions are continuous, or the GPU
+ *                   is no longer available)
+ */
+Accelerator.prototype.detect = function()
+{   //memory references
+    var simulation = this.simulation;
+    var monads = simulation.monads;
+    var zones = simulation.zones;
+    var state = simulation.synchrony.state;
+    var toggle = simulation.controls.dynamic.toggle;
+    var materials = this.materials;
+    var positions = this.positions.image.data;
+    var attributes = this.attributes.image.data;
+    var contacts = this.buffer;
+    var interact = Synchrony.states.INTERACT;
+    var large = zones.zoning / 2;
+
+    //local variables
+    var monad = null, quanta = null;
+    var sorted = 0;
+    var c = 0, i = 0, p = 0;
+
+    if (toggle.continuous || this.lost()) return false;
+
+    for (p = 0; p < simulation.MAX; p++, i += 4) {
+        monad = monads[p];
+        quanta = monad.quanta;
+        positions[i] = monad.position.x; positions[i+1] = monad.position.y; positions[i+2] = monad.position.z;
+        positions[i+3] = quanta.radius;
+        attributes[i] = monad.getMass();
+        attributes[i+1] = quanta.radius > 0 && quanta.countdown >= 0 ? 1 : 0;
+        attributes[i+2] = state[p] === interact && quanta.radius < large ? 1 : 0;
+    }
+    this.positions.needsUpdate = this.attributes.needsUpdate = true;
+
+    //key every monad by its cell, then sort the keys
+    this.uniforms(materials.key, { texturePosition: this.positions, textureAttributes: this.attributes });
+    this.compute.doRenderTarget(materials.key, this.sorted[0]);
+    for (var block = 2; block <= simulation.MAX; block *= 2)
+        for (var span = block / 2; span >= 1; span /= 2) {
+            this.uniforms(materials.sort, { textureSort: this.sorted[sorted].texture, block: block, span: span });
+            this.compute.doRenderTarget(materials.sort, this.sorted[1 - sorted]);
+            sorted = 1 - sorted;
+        }
+
+    //search the neighboring cells of every searching monad
+    this.uniforms(materials.contact, { texturePosition: this.positions, textureAttributes: this.attributes,
+                                       textureSort: this.sorted[sorted].texture,
+                                       doubling: !toggle.quantaCollide && toggle.quantaRandCollide ? 1 : 0 });
+    this.compute.doRenderTarget(materials.contact, this.contacts);
+    this.read(this.contacts);
+
+    if (DEBUG && simulation.controls.debug.system.accelerator) this.expect("pairs");
+
+    for (p = 0, i = 0; p < simulation.MAX; p++, i += 4) {
+        if (state[p] !== interact) continue;
+        monad = monads[p];
+        if (monad.quanta.radius >= large || contacts[i] === -2) zones.checkCollisions(monad);//beyond the shaders
+        else for (c = i; c < i + 4 && contacts[c] >= 0; c++)
+            this.contact(monad, monads[contacts[c]]);
+    }
+    return true;
+}
+
+/**
+ * Hands a pair the GPU found colliding to the synchrony, as Zones.collideInZone would have.
+ *
+ * @param {Monad} monad     the searching monad
+ * @param {Monad} other     the monad it overlaps
+ */
+Accelerator.prototype.contact = function(monad, other)
+{   //memory references
+    var zones = this.simulation.zones;
+
+    if (this.simulation.controls.dynamic.toggle.bonding && monad.bonds.indexOf(other.index) > -1) return;//in bond group, don't collide
+
+    zones.recordCollision(monad, other);
+    zones.synchrony.collide(monad, other, zones.reach(monad, other) - monad.getToroidDistanceTo(other, zones.size));
+}
+
+/**
+ * Moves every monad that moves this tick on the GPU: adds its collected bond displacement (see
+ * Synchrony.displace), limits its speed, adds its velocity, and wraps it around the toroid. Called
+ * by Synchrony.update() in place of those steps of its integration.
+ *
+ * @return {boolean} false if the GPU is no longer available (the CPU must integrate instead)
+ */
+Accelerator.prototype.integrate = function()
+{   //memory references
+    var simulation = this.simulation;
+    var monads = simulation.monads;
+    var zones = simulation.zones;
+    var synchrony = simulation.synchrony;
+    var state = synchrony.state;
+    var shifts = synchrony.shifts;
+    var materials = this.materials;
+    var positions = this.positions.image.data;
+    var velocities = this.velocities.image.data;
+    var buffer = this.buffer;
+    var none = Synchrony.states.NONE;
+
+    //local variables
+    var monad = null, pos = null, vel = null;
+    var i = 0, s = 0, p = 0;
+
+    if (this.lost()) return false;
+
+    for (p = 0; p < simulation.MAX; p++, i += 4, s += 3) {
+        monad = monads[p];
+        pos = monad.position;
+        vel = monad.velocity;
+        positions[i] = pos.x; positions[i+1] = pos.y; positions[i+2] = pos.z;
+        velocities[i] = vel.x; velocities[i+1] = vel.y; velocities[i+2] = vel.z;
+        velocities[i+3] = state[p] !== none && monad.quanta.radius > 0 ? 1 : 0;
+        if (velocities[i+3]) { positions[i] += shifts[s]; positions[i+1] += shifts[s+1]; positions[i+2] += shifts[s+2]; }
+    }
+    this.positions.needsUpdate = this.velocities.needsUpdate = true;
+
+    if (DEBUG && simulation.controls.debug.system.accelerator) this.expect("positions");
+
+    this.uniforms(materials.velocity, { textureVelocity: this.velocities, maxSpeed: simulation.controls.dynamic.maxSpeed });
+    this.compute.doRenderTarget(materials.velocity, this.moved);
+    this.uniforms(materials.position, { texturePosition: this.positions, textureVelocity: this.moved.texture });
+    this.compute.doRenderTarget(materials.position, this.integrated);
+
+    this.read(this.moved);
+    for (p = 0, i = 0; p < simulation.MAX; p++, i += 4)
+        if (velocities[i+3]) monads[p].velocity.set(buffer[i], buffer[i+1], buffer[i+2]);
+
+    this.read(this.integrated);
+    for (p = 0, i = 0; p < simulation.MAX; p++, i += 4)
+        if (velocities[i+3]) {
+            monads[p].position.set(buffer[i], buffer[i+1], buffer[i+2]);
+            zones.updateZone(monads[p]);
+        }
+
+    if (DEBUG && simulation.controls.debug.system.accelerator) this.verify();
+    return true;
+}
+
+/**
+ * Sets the uniforms of a material, along with the world's that every shader may use.
+ *
+ * @param {ShaderMaterial} material     the material
+ * @param {Object} values               the uniform values by name
+ */
+Accelerator.prototype.uniforms = function(material, values)
+{   //memory references
+    var uniforms = material.uniforms;
+    var zones = this.simulation.zones;
+
+    if (uniforms.size) uniforms.size.value = zones.size;
+    if (uniforms.zoning) uniforms.zoning.value = zones.zoning;
+    if (uniforms.zones) uniforms.zones.value = zones.length;
+    for (var name in values)
+        uniforms[name].value = values[name];
+}
+
+/**
+ * Reads a render target back into the buffer.
+ *
+ * @param {WebGLRenderTarget} target    the target to read
+ */
+Accelerator.prototype.read = function(target)
+{
+    this.renderer.readRenderTargetPixels(target, 0, 0, this.width, this.height, this.buffer);
+}
+
+/**
+ * Checks whether the WebGL context has been lost, and if so gives up on the GPU: the simulation
+ * goes on with the CPU alone.
+ *
+ * @return {boolean} whether the context was lost
+ */
+Accelerator.prototype.lost = function()
+{
+    if (!this.renderer.context.isContextLost()) return false;
+    debug("always", "GPU context lost, computing on the CPU instead");
+    this.simulation.accelerator = null;
+    this.simulation.controls.generation.gpu = false;
+    return true;
+}
+
+/**
+ * Releases the textures and render targets.
+ */
+Accelerator.prototype.dispose = function()
+{
+    var targets = [this.sorted[0], this.sorted[1], this.contacts, this.moved, this.integrated];
+    for (var t = 0; t < targets.length; t++)
+        targets[t].dispose();
+    this.positions.dispose();
+    this.velocities.dispose();
+    this.attributes.dispose();
+    for (var name in this.materials)
+        this.materials[name].dispose();
+}
+
+
+
+/**************************************************************/
+/**************************************************************/
+/*******************      VERIFICATION      *******************/
+/**************************************************************/
+/**************************************************************/
+
+/**
+ * Computes what the CPU would have, for comparison with the GPU (see verify()): either the pairs
+ * its collision detection finds for the searching monads (without handing them to the synchrony),
+ * or the positions its integration would move the monads to, as filled into the textures.
+ *
+ * @param {string} what     "pairs" or "positions"
+ */
+Accelerator.prototype.expect = function(what)
+{   //memory references
+    var simulation = this.simulation;
+    var monads = simulation.monads;
+    var zones = simulation.zones;
+    var state = simulation.synchrony.state;
+    var expected = this.expected;
+    var positions = this.positions.image.data;
+    var velocities = this.velocities.image.data;
+    var size = zones.size;
+    var ms = simulation.controls.dynamic.maxSpeed;
+
+    //local variables
+    var synchrony = zones.synchrony;
+    var speed = 0, ratio = 0, axis = 0;
+    var i = 0, a = 0;
+
+    if (what === "pairs") {
+        expected.pairs = {};
+        zones.synchrony = { collide: function(monad, other) {
+            expected.pairs[Math.min(monad.index, other.index) * simulation.MAX + Math.max(monad.index, other.index)] = true;
+        } };
+        for (var p = 0; p < simulation.MAX; p++)
+            if (state[p] === Synchrony.states.INTERACT) zones.checkCollisions(monads[p]);
+        zones.synchrony = synchrony;
+        return;
+    }
+
+    expected.positions = new Float64Array(positions.length);
+    for (i = 0; i < positions.length; i += 4) {
+        speed = Math.sqrt(velocities[i] * velocities[i] + velocities[i+1] * velocities[i+1] + velocities[i+2] * velocities[i+2]);
+        ratio = velocities[i+3] && speed > ms ? ms / speed : 1;
+        for (a = i; a < i + 3; a++) {
+            axis = positions[a] + (velocities[i+3] ? velocities[a] * ratio : 0);
+            if (axis >= size) axis -= 2 * size;
+            else if (axis < -size) axis += 2 * size;
+            expected.positions[a] = axis;
+        }
+    }
+}
+
+/**
+ * Compares the tick the GPU computed with what the CPU would have (see expect()), adds the
+ * differences to the verification totals, and reports them: pairs the CPU would have found but
+ * the GPU didn't (missed), pairs the GPU found but the CPU wouldn't have (extra--e.g. a monad
+ * overlapping another only from a cell the CPU doesn't search), and the largest difference of
+ * any position coordinate around the toroid (error).
+ */
+Accelerator.prototype.verify = function()
+{   //memory references
+    var simulation = this.simulation;
+    var expected = this.expected;
+    var found = {};
+    var pairs = simulation.synchrony.pairs;
+    var positions = this.buffer;
+    var verification = this.verification;
+    var size = simulation.zones.size;
+
+    //local variables
+    var tick = { missed: 0, extra: 0, error: 0 };
+    var difference = 0.0;
+    var key = 0;
+
+    for (var p = 0; p < pairs.length; p++)
+        if (!pairs[p].collapse) found[pairs[p].a * simulation.MAX + pairs[p].b] = true;
+    for (key in expected.pairs)
+        if (found[key]) verification.pairs++;
+        else tick.missed++;
+    for (key in found)
+        if (!expected.pairs[key]) tick.extra++;
+
+    for (var i = 0; i < positions.length; i++)
+        if (i % 4 !== 3) { //either side of a boundary is the same place
+            difference = Math.abs(positions[i] - expected.positions[i]);
+            tick.error = Math.max(tick.error, Math.min(difference, 2 * size - difference));
+        }
+
+    verification.ticks++;
+    verification.missed += tick.missed;
+    verification.extra += tick.extra;
+    verification.error = Math.max(verification.error, tick.error);
+    debug(["system","accelerator"], ["GPU vs CPU at tick " + simulation.stats.tick, tick, verification]);
+}
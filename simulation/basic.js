@@ -28,6 +28,7 @@ function reloadSimulation()
 
     //sets hash information for reload; decoded with getHashInformation()
     location.hash = constant.maximum + "#" +
+                    (constant.worker ? "1" : "0") +
                     (constant.modes | "0") +
                     (constant.debugInit ? "1" : "0");
     location.reload(); //F5
@@ -38,8 +39,9 @@ function reloadSimulation()
  * When the simulation is reloaded, the hash URL gets reloaded with information on how to
  * set up the simulation post-reload. For now, this includes the maximum number of particles
  * able to be displayed (which is used in all setup information for the simulation), whether
- * to show debug information during startup, and whether to put the simulation through a
- * stress test (see controls for more info, but should be about 30fps).
+ * to show debug information during startup, whether to put the simulation through a
+ * stress test (see controls for more info, but should be about 30fps), and whether to run the
+ * physics in a web worker.
  *
  * @return {int[]}  a list containing extracted hash values
  */
@@ -111,7 +113,10 @@ function onWindowResize()
     var width = camera.customWindowRender ? camera.width : window.innerWidth;
 
     if (camera.allowWindowRender) {
-        emergence.camera.aspect = width / height;
+        if (emergence.camera.isOrthographicCamera) { //a flat world's view keeps its height (see Emergence.initializeCamera)
+            emergence.camera.left = emergence.camera.bottom * width / height;
+            emergence.camera.right = emergence.camera.top * width / height;
+        } else emergence.camera.aspect = width / height;
         emergence.camera.updateProjectionMatrix();
         emergence.renderer.setSize(width, height);
     //    emergence.renderer.setPixelRatio(window.devicePixelRatio);
@@ -350,6 +355,94 @@ function debug(allow,args)
 
 
 
+/**************************************************************/
+/**************************************************************/
+/*******************   RANDOM GENERATION	*******************/
+/**************************************************************/
+/**************************************************************/
+
+/**
+ * A seedable pseudo-random number generator. Every stochastic decision the simulation makes
+ * draws from one of these instead of Math.random, so that reseeding with the same number replays
+ * the same sequence of decisions (and thus the same trajectory, tick for tick). The generator
+ * itself is pluggable: any algorithm that takes a 32-bit seed and returns a function producing
+ * uniform numbers in [0,1) can be given (see Random.algorithms).
+ *
+ * @param {int} [seed]              the seed to start the stream with; random if not given
+ * @param {function} [algorithm]    the seed->stream factory to use; mulberry32 if not given
+ */
+function Random(seed, algorithm)
+{
+    /** The factory that turns a seed into a stream of uniform [0,1) numbers */
+    this.algorithm = algorithm || Random.algorithms.mulberry32;
+    /** The seed the current stream was started from */
+    this.seed = 0;
+    /** The current stream of numbers */
+    this.stream = null;
+
+    var self = this;
+    /** Returns the next number in [0,1) of the stream; bound so it can be cached locally like Math.random */
+    this.next = function() { return self.stream(); };
+
+    this.reseed(seed === undefined ? Math.floor(Math.random() * 4294967296) : seed);
+}
+
+/** Available seed->stream factories; each returns a function giving uniform numbers in [0,1) */
+Random.algorithms = {
+    /** Small, fast, well distributed 32-bit generator by Tommy Ettinger (the default) */
+    mulberry32: function(seed) {
+        var a = seed >>> 0;
+        return function() {
+            a = (a + 0x6D2B79F5) | 0;
+            var t = Math.imul(a ^ (a >>> 15), 1 | a);
+            t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    },
+    /** Unseeded browser randomness (the pre-seeding behavior; runs cannot be replayed with this) */
+    native: function(seed) {
+        return Math.random;
+    }
+};
+
+/**
+ * Restarts the stream from the given seed, optionally switching to a different algorithm.
+ *
+ * @param {int} seed                the seed to restart the stream with (truncated to 32 bits)
+ * @param {function} [algorithm]    the seed->stream factory to switch to
+ */
+Random.prototype.reseed = function(seed, algorithm)
+{
+    if (algorithm) this.algorithm = algorithm;
+    this.seed = seed >>> 0;
+    this.stream = this.algorithm(this.seed);
+}
+
+/** The generators every random draw of the simulation comes from. Physics draws (anything that can
+ * change a trajectory) and cosmetic draws (flash colors, statistics offsets) are kept in separate
+ * streams so that changing a visual setting never shifts the physical sequence of a replay. */
+var RANDOM = {
+    /** Stream for every decision that affects the simulation proper */
+    physics: new Random(),
+    /** Stream for purely visual or statistical bookkeeping randomness */
+    visual: new Random()
+};
+
+/**
+ * Seeds both simulation random streams from one number (see Emergence.restartSimulation, which
+ * uses the randomized first half of the simulation id).
+ *
+ * @param {int} seed                the seed to derive both streams from
+ * @param {function} [algorithm]    the seed->stream factory both streams should switch to
+ */
+function seedRandom(seed, algorithm)
+{
+    RANDOM.physics.reseed(seed, algorithm);
+    RANDOM.visual.reseed(seed ^ 0x5BD1E995, algorithm);
+}
+
+
+
 /**************************************************************/
 /**************************************************************/
 /*******************  CODE SAVING FUNCTIONS	*******************/
@@ -363,7 +456,7 @@ function debug(allow,args)
  */
 function randBool()
 {
-    return Math.random() < 0.5;
+    return RANDOM.physics.next() < 0.5;
 }
 
 /**
@@ -430,6 +523,31 @@ function radiusSphere(mass, density)
             3.0);
 }
 
+/**
+ * Gives the radius of a perfect circle given the circle's mass and density, where mass over
+ * density is the circle's area (see radiusSphere for the volume equivalent of flat worlds).
+ *
+ * With default density (0.238), here are the approximate quanta within one monad for a given radius:
+ * Mass     Radius(a bit >)
+ * 1        1
+ * 3        2
+ * 7        3
+ * 75       10
+ * 770      32
+ * 7500     100
+ *
+ * @param {float} mass      f>=0    number representing the mass of the circle
+ * @param {float} density   f>0     density of the circle
+ *
+ * @return {float} the radius of a circle as determined by mass and density
+ */
+function radiusCircle(mass, density)
+{
+    return  Math.sqrt(
+                mass /
+                (density * Math.PI));
+}
+
 /**
  * Simple version of the gauss function. Returns a random gaussian value for a standard bell curve.
  *
@@ -440,7 +558,8 @@ function radiusSphere(mass, density)
  */
 function randGaussSimple(med,std)
 {
-    var ran = Math.sqrt(-2.0 * Math.log(1 - Math.random()))    *    Math.cos(2.0 * Math.PI * (1 - Math.random()));// formula: Box–Muller_transform
+    var random = RANDOM.physics.next;
+    var ran = Math.sqrt(-2.0 * Math.log(1 - random()))    *    Math.cos(2.0 * Math.PI * (1 - random()));// formula: Box–Muller_transform
     return med + std * ran;
 }
 
@@ -466,7 +585,7 @@ function randGaussSimple(med,std)
  */
 function randGauss(min, med, max, std, exp, inv, sign)
 {   //local variables
-    var random = Math.random;
+    var random = RANDOM.physics.next;
     var ran = (sign ? sign/Math.abs(sign) : (randBool() ? -1 : 1)) * //positive or negative randomly unless sign is defined
                 Math.pow(
                     Math.sqrt(
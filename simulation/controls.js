@@ -21,31 +21,38 @@
  *      Dynamic controls take effect instantly and will tag the simulation as altered post-genesis
  *      Visual controls only affect visuals and do not change anything in the simulation proper
  *      Debug controls determine what debugging information is printed out to console
+ * A headless simulation gets all the same controls but none of the guis.
  *
  * @param {Object} simulation    the simulation the controls are to affect
+ * @param {int[]} [hash]         initial conditions to use instead of reading the url hash
  */
-function Controls(simulation)
+function Controls(simulation, hash)
 {
     /** not necessary, but if used should be an array of initial conditions
      * hash[0] is an integer that is default maximum particles
      * hash[1] is an int bool (0 or 1) whether to display startup debug
-     * hash[2] is an integer representing mode (see below)*/
-		this.hash = getHashInformation();
+     * hash[2] is an integer representing mode (see below)
+     * hash[3] is an int bool (0 or 1) whether to run the physics in a web worker*/
+		this.hash = hash || getHashInformation();
 
     //local constants based on hash
     var TOTAL = this.hash[0] || Math.pow(2, MOBILE ? 13 : 16);
     var STARTUP = DEBUG = this.hash[1] || false;
     var STRESS = (this.hash[2] || 0) === 1;
     var TEST = (this.hash[2] || 0) === 2;
-    var CLUMP = (this.hash[2] || 0) === 3;
+    var FLAT = (this.hash[2] || 0) === 4;
+    var CLUMP = (this.hash[2] || 0) === 3 || FLAT;//flat mode is clump mode in two dimensions
+    var WORKER = simulation.headless ? false : (this.hash[3] === undefined ? typeof Worker !== 'undefined' && location.protocol !== 'file:' : this.hash[3] === 1);
     if (this.hash.length <= 1) CLUMP = true;//only on first load will clump be set if no options selected
 
     //local constants derived from hash or simply starting defaults
     var MAXIMUM = STRESS ? Math.pow(2, 16) : TOTAL;
-    var RADIUS = Math.ceil(Math.pow(log(2, MAXIMUM), 3) / 3);//new formula for 0.7: but also update based on data.txt = Math.ceil(Math.pow(MAXIMUM/2 * log(2,MAXIMUM/2) * 75, 1/3));
     var DENSITY = 0.238;//this very important number means a particle's mass will also roughly be its volume!
-    var MAXVEL = radiusSphere(1.0,DENSITY) * 2;//no particle can displace itself beyond the diameter of the smallest particle
-    var HEIGHT = screen.height || window.innerHeight || 1080;
+    var RADIUS = FLAT ? Math.ceil(Math.sqrt(MAXIMUM * 64 / DENSITY) / 2) ://a flat world's area is 64 times that of MAXIMUM quanta
+                        Math.ceil(Math.pow(log(2, MAXIMUM), 3) / 3);//new formula for 0.7: but also update based on data.txt = Math.ceil(Math.pow(MAXIMUM/2 * log(2,MAXIMUM/2) * 75, 1/3));
+    var RADIUS_OF = FLAT ? radiusCircle : radiusSphere;//flat worlds have areas instead of volumes
+    var MAXVEL = RADIUS_OF(1.0,DENSITY) * 2;//no particle can displace itself beyond the diameter of the smallest particle
+    var HEIGHT = simulation.headless ? 1080 : (screen.height || window.innerHeight || 1080);
 
     //system-wide controls
     /** Simulation memory reference */
@@ -54,6 +61,10 @@ function Controls(simulation)
     this.animate = true;
     /** When true, will render the simulation for one tick, then sets itself to false */
     this.step = false;
+    /** How fast the simulation runs, in ticks per second as a multiple of Scheduler.RATE (below 1 is slow motion) */
+    this.speed = 1;
+    /** The most frames to render per second, however fast the simulation runs (see scheduler.js) */
+    this.fps = 60;
     /** The maximum distance factor the camera will recognize */
     this.MAX_FACTOR = Math.pow(2,15)-1;
     /** The maximum cubic radius from 0,0,0 that will be rendered (controls will limit distance operations to this) */
@@ -67,6 +78,8 @@ function Controls(simulation)
     this.constant = {
         /** Whether to debug the startup of the simulation */
         debugInit: false,
+        /** Whether the physics runs in a web worker, keeping the page responsive however long a tick takes (see relay.js) */
+        worker: WORKER,
         /** Different pre-loaded modes */
         modes: {
             //default: 0, //do not re-enable as it gets set to false
@@ -75,7 +88,9 @@ function Controls(simulation)
             /** Tracked experiment small amount multi-monad mode */
             research: 2,
             /** Large field with several medium size particles */
-            clump: 3
+            clump: 3,
+            /** Clump mode on a flat (2d) torus, viewed from above */
+            flat: 4
         },
         /** The smallest amount in controls and otherwise (except vector calculations) the simulation handles */
         granularity: 0.001,
@@ -89,12 +104,18 @@ function Controls(simulation)
     this.generation = {
         /** How long to run the simulation (0 is infinite) */
         runtime: TEST ? 3000 : 0,
+        /** Simulation id (or its first 8 digits) whose run to replay; 0 generates a new random run */
+        seed: 0,
         /** The number of particles to attempt to generate */
         particles: TEST ? 2 : (STRESS ? MAXIMUM : Math.pow(2, Math.max(0, log(2, MAXIMUM)-(CLUMP ? 8 : 6)))),
         /** Whether to enforce maximum mass as the absolute limit (all quanta in simulation cannot exceed particles max) */
         enforceMass: false,
         /** Whether to enforce neutrality simulation wide (simulation will always have overall perfect neutrality) */
         enforceNeutral: false,
+        /** Whether to keep monad data in typed arrays by index rather than in objects of each monad's own (see store.js); saves memory and garbage collection at large maximums */
+        packed: MAXIMUM >= Math.pow(2,16),
+        /** Whether to compute collision detection and movement on the GPU when rendering on the main thread (see accelerator.js); ticks are then always synchronous */
+        gpu: false,
         /** Settings affecting starting particle mass sizing */
         mass: {
             /** The smallest mass a generated particle can have */
@@ -125,7 +146,9 @@ function Controls(simulation)
             /** Initial velocity of all particles */
             velocity: STRESS ? MAXVEL : 0.0,
             /** How much randomization to place on initial velocity (up to the max of velocity) */
-            randomizeVelocity: 1.0
+            randomizeVelocity: 1.0,
+            /** The kinds of quanta: the name of a preset (see Species.NAMES), or a species spec (see Species) */
+            species: 'attracton/repulson'
         },
         /** Settings affecting world (environment) and starting particle placement */
         world: {
@@ -135,8 +158,24 @@ function Controls(simulation)
             spread: 0,
             /** The cuboid radius of the environment, where the maximum x,y,z values are +/- radius */
             radius: TEST ? Math.ceil(RADIUS / 3) : RADIUS,
+            /** The radius of the environment along x alone, for slab- or tube-like worlds (0 means to use radius) */
+            radiusX: 0,
+            /** The radius of the environment along y alone (0 means to use radius) */
+            radiusY: 0,
+            /** The radius of the environment along z alone (0 means to use radius) */
+            radiusZ: 0,
             /** How large each zone should be of the environment (see Zones) */
-            zoning: Math.floor(Math.max(RADIUS / 40, STRESS ? 1 : radiusSphere((Math.max(1, MAXIMUM / 16) + Math.max(1, MAXIMUM / 64))*2, DENSITY)*2))
+            zoning: Math.floor(Math.max(RADIUS / 40, STRESS ? 1 : RADIUS_OF((Math.max(1, MAXIMUM / 16) + Math.max(1, MAXIMUM / 64))*2, DENSITY)*2)),
+            /** What happens at the edge of the environment: 'toroid' wraps around to the opposite edge,
+                'bounce' reflects particles off the walls, 'reverse' sends them back the way they came,
+                'vanish' makes them disappear, and 'sphere' reflects them off a sphere of the radius */
+            boundary: 'toroid',
+            /** Whether the world is flat (2d): every monad stays at z = 0, with circular areas instead of spherical volumes */
+            flat: FLAT,
+            /** Fixed obstacles inside the world: the name of a layout (see Obstacle.LAYOUTS), or a list of obstacle specs (see Obstacle) */
+            obstacles: 'none',
+            /** Whether the obstacles of a named layout absorb quanta that hit them rather than bounce them */
+            absorbent: false
         }
     };
 
@@ -173,7 +212,11 @@ function Controls(simulation)
             /** Whether to check for quanta on quanta collision (by default, only monads mass > 1 check for collision) */
             quantaCollide: STRESS ? true : false,
             /** If enabled when quantaCollide is false, each quanta has a 1/8 chance of checking for collision; when checking for quanta-quanta collision, all quanta have double radius */
-            quantaRandCollide: false
+            quantaRandCollide: false,
+            /** Whether every monad is processed at once from the previous tick's state, so that the order of monads makes no difference (see synchrony.js) */
+            synchronous: false,
+            /** Whether collisions are checked along the paths monads move each tick rather than only where they are, so that maxSpeed can exceed the smallest monad's diameter without monads passing through each other (see Zones.sweep) */
+            continuous: false
         },
         /** Settings for quanta emission */
         emission: {
@@ -194,7 +237,23 @@ function Controls(simulation)
             /** How many impacts a monad will 'remember'; each new impact influence strength is inverse to this number */
             prevWeight: 1,
             /** Velocity at which quanta are emitted (for every emission) */
-            velocity: MAXVEL
+            velocity: MAXVEL,
+            /** Whether monads emit attractons after the impacts of attractons alone and repulsons after those of repulsons
+                (two impact vectors, blue and red), rather than after the impacts of both averaged into one */
+            dualImpact: false
+        },
+        /** Settings for fission, a decay channel where unstable monads split in two (see Monad.fission) */
+        fission: {
+            /** Whether unstable monads can split in two as well as emit quanta */
+            enabled: false,
+            /** The instability (see Monad.checkEmission; 1.0 at the radiation threshold) at which monads may split */
+            threshold: 2.0,
+            /** The chance every tick that a monad unstable enough splits */
+            chance: 0.05,
+            /** How the quanta are shared between the daughters: 'charge' (in half, attractons to one) or 'random' (at a random ratio) */
+            split: 'charge',
+            /** The speed (as a fraction of maxSpeed) the daughters fly apart at */
+            speed: 0.5
         },
         /** Settings for monad-monad bonding */
         bonding: {
@@ -209,7 +268,61 @@ function Controls(simulation)
             /** The ratio (in combined radius distance) a monad can flee before the bond breaks (1.0 is perfect contact) */
             breakRatio: 1 + this.constant.granularity,
             /** The ratio (in combined radius distance) a monad can intersect before they collapse-merge (0.0 means they will never collapse-merge) */
-            mergeRatio: 0
+            mergeRatio: 0,
+            /** Whether colliding monads (mass > 1) only bond or merge if they collide energetically enough (see Monad.getActivation),
+                bouncing otherwise; bonding and merging must still be toggled on */
+            activation: false,
+            /** The collision energy at or above which monads bond */
+            bondEnergy: Math.max(1, MAXIMUM / 2048),
+            /** The collision energy at or above which monads merge (if less than bondEnergy, they never bond) */
+            mergeEnergy: Math.max(1, MAXIMUM / 64),
+            /** How much more energetic the collision of two monads is for each difference in their charge (0 ignores charge) */
+            polarity: 1.0
+        },
+        /** The rule each kind of colliding pair follows (see Zones.getRule): the name of a rule (see Zones.RULES), or
+            rules weighed by how likely each is ({ bounce: 3, merge: 1 } bounces three collisions in four); 'auto' leaves
+            it to the toggles (freeze, then bond, then merge, then bounce), as does 'bond' while bonding is off; unknown rules
+            are 'auto' and unknown weights are dropped (see Controls.checkRules) */
+        rules: {
+            /** Two quanta */
+            quantaQuanta: 'auto',
+            /** A quanta and a monad heavier than quanta */
+            quantaMonad: 'auto',
+            /** Two monads heavier than quanta */
+            monadMonad: 'auto',
+            /** A monad and a particle it emitted or split off, once escaped (whatever their masses) */
+            parentChild: 'auto'
+        },
+        /** Settings for how monads bounce (see Monad.bounce) */
+        bouncing: {
+            /** Whether bounces conserve momentum (see Monad.bounceElastic) rather than add or subtract velocities by polarity */
+            elastic: false,
+            /** How much of their approaching speed elastically colliding monads separate with (1 conserves kinetic energy, 0 leaves them together) */
+            restitution: 1.0,
+            /** How strongly (as a fraction of maxSpeed) elastic collisions also push monads toward monads whose species draw them and away from those that repel them (with the default species, toward more positive monads and away from more negative ones) */
+            bias: 0.0
+        },
+        /** External force fields, each accelerating every monad by its strength per tick (negative strength
+            reverses it), weakened with distance from the center of the world by its falloff (0 is uniform;
+            the higher, the more a field is confined to the center) and weighed by the monad's composition
+            (attractons and repulsons are how much each kind of quanta in the monad feels the field, in [-1,1]) */
+        fields: {
+            /** Pulls monads toward the center of the world */
+            attractor: { strength: 0.0, falloff: 0.0, attractons: 1.0, repulsons: 1.0 },
+            /** Pushes monads along one direction (x, y, z, which need not be normalized) */
+            drift: { strength: 0.0, falloff: 0.0, attractons: 1.0, repulsons: 1.0, x: 1.0, y: 0.0, z: 0.0 },
+            /** Spins monads around the z axis (counterclockwise as seen from above) */
+            vortex: { strength: 0.0, falloff: 0.0, attractons: 1.0, repulsons: 1.0 }
+        },
+        /** Settings for the zone field, which monads imprint on every tick and are pushed along the gradient of (see Zones.updateField) */
+        field: {
+            /** What monads deposit into the field: 'charge' (attractons minus repulsons), 'mass', 'flux' (recently emitted quanta), or 'none' for no field */
+            source: 'none',
+            /** How much of the field fades away every tick */
+            decay: 0.1,
+            /** How fast monads accelerate up the steepest gradient of the field (negative is down); with a charge field, each
+                monad's acceleration is also weighed by its own charge, so opposite charges are pushed opposite ways */
+            strength: 0.01
         }
     };
 
@@ -240,7 +353,9 @@ function Controls(simulation)
             /** Whether to display a box wireframe around any clicked particle */
             clickBox: true,
             /** Whether to display a ray from camera origin to clicked pixel */
-            clickRay: false
+            clickRay: false,
+            /** Whether to overlay the zone field, if there is one (see dynamic.field), colored as monads are for charge and green otherwise */
+            field: false
         },
         /** Settings affecting the camera dimensions */
         camera: {
@@ -316,10 +431,16 @@ function Controls(simulation)
             /** Whether to display debug on particle specific wireframes */
             wireframe: false,
             /** Whether to display debug on user interaction such as keyboard and mouse */
-            interaction: false
+            interaction: false,
+            /** Whether to compare the GPU's collisions and movement against the CPU's every tick (see accelerator.js) */
+            accelerator: false
         }
     };
 
+    /** Guis resizable via checkDimensions (see setup) */
+    this.listen = [];
+    if (simulation.headless) return;//nothing to display
+
     /** Controls and main options (right pane) gui */
     this.gui = new dat.GUI({ width: 350 });
 
@@ -334,7 +455,6 @@ function Controls(simulation)
     this.gui3.domElement.id = 'gui3';
     document.body.appendChild(this.gui3.domElement);
     document.getElementById('gui3').style.cssText = "position:fixed;bottom:0;left:206px";
-    this.listen = [];
     this.setup();
 }
 
@@ -353,7 +473,12 @@ Controls.prototype.setup = function()
     var dynamic = this.dynamic;
     var toggle = dynamic.toggle;
     var emission = dynamic.emission;
+    var fission = dynamic.fission;
     var bonding = dynamic.bonding;
+    var bouncing = dynamic.bouncing;
+    var rules = dynamic.rules;
+    var fields = dynamic.fields;
+    var field = dynamic.field;
     var access = this.access;
     var visual = this.visual;
     var display = visual.display;
@@ -410,6 +535,8 @@ Controls.prototype.setup = function()
     this.gui2.add(simulation.stats, 'tick').listen().name('Tick');
     this.gui2.add(buttonStep, 'stepSimulation').name('Step');
     this.gui2.add(buttonPause, 'pauseSimulation').name('Pause');
+    this.gui2.add(this, 'speed', 0.05, 16, 0.05).name('Speed');
+    this.gui2.add(this, 'fps', 1, 240, 1).name('FPS Cap');
 
     //gui setup
     var controlsHeader = this.gui.addFolder(folderPrefix + 'CONTROLS' + folderSuffix).open();
@@ -417,6 +544,7 @@ Controls.prototype.setup = function()
     var controlsConstant = this.gui.addFolder(folderPrefix + 'Constants (must reload to take effect)' + folderSuffix);
     controlsConstant.add(buttonReload, 'reloadSimulation').name('Reload Simulation');
     controlsConstant.add(constant, "debugInit", constant.debugInit).name('Debug Reload');
+    controlsConstant.add(constant, "worker", constant.worker).name('Worker Physics');
     controlsConstant.add(constant, "modes", constant.modes).name('Mode');
     controlsConstant.add(constant, "granularity", 0.000001,1.0,0.000001).name('Controls Granularity');
     controlsConstant.add(constant, "power", 0.0, 20.0, 1.0).onChange(SIM_controls).name('Maximum Mass: 2 ^');
@@ -427,9 +555,12 @@ Controls.prototype.setup = function()
     var controlsGeneration = this.gui.addFolder(folderPrefix + 'Generation (must restart to take effect)' + folderSuffix);
     controlsGeneration.add(buttonRestart, 'restartSimulation').name('Restart Simulation');
     controlsGeneration.add(generation, "runtime", 0, Number.MAX_SAFE_INTEGER, 1);
+    controlsGeneration.add(generation, "seed", 0, Number.MAX_SAFE_INTEGER, 1);
     controlsGeneration.add(generation, "particles", 1.0, MAX_PARTICLES, 1.0);
     controlsGeneration.add(generation, "enforceMass", generation.enforceMass);
     controlsGeneration.add(generation, "enforceNeutral", generation.enforceNeutral);
+    controlsGeneration.add(generation, "packed", generation.packed);
+    controlsGeneration.add(generation, "gpu", generation.gpu).name('GPU Physics');
     var controlsGenMass = controlsGeneration.addFolder(subfolderPrefix + 'Generation' + subfolderDivider + 'Mass');
     controlsGenMass.add(mass, "minimum", 1, MAX_PARTICLES, 1);
     controlsGenMass.add(mass, "median", 1, MAX_PARTICLES, 1);
@@ -445,11 +576,19 @@ Controls.prototype.setup = function()
     controlsGenMonad.add(monad, "polarityMax", 0.0, 1.0, MIN_DIFF);
     controlsGenMonad.add(monad, "velocity", 0.0, MAX_VEL, MIN_DIFF);
     controlsGenMonad.add(monad, "randomizeVelocity", 0.0, 1.0, MIN_DIFF);
+    controlsGenMonad.add(monad, "species", Species.NAMES);
     var controlsGenWorld = controlsGeneration.addFolder(subfolderPrefix + 'Generation' + subfolderDivider + 'World');
     controlsGenWorld.add(world, "spread", 1, MAX_RENDER_DISTANCE, 1);
     this.listen.push(controlsGenWorld);
     this.listen.push(controlsGenWorld.add(world, "radius", 2, MAX_RENDER_DISTANCE, 1));
     this.listen.push(controlsGenWorld.add(world, "zoning", 1, MAX_RENDER_DISTANCE, 1));
+    this.listen.push(controlsGenWorld.add(world, "radiusX", 0, MAX_RENDER_DISTANCE, 1));
+    this.listen.push(controlsGenWorld.add(world, "radiusY", 0, MAX_RENDER_DISTANCE, 1));
+    this.listen.push(controlsGenWorld.add(world, "radiusZ", 0, MAX_RENDER_DISTANCE, 1));
+    controlsGenWorld.add(world, "boundary", Zones.BOUNDARIES);
+    controlsGenWorld.add(world, "flat", world.flat);
+    controlsGenWorld.add(world, "obstacles", Obstacle.LAYOUTS);
+    controlsGenWorld.add(world, "absorbent", world.absorbent);
 
     /* DYNAMIC PARAMETERS */
     var controlsDynamic = this.gui.addFolder(folderPrefix + 'Dynamic (effects happen in real time)' + folderSuffix);
@@ -470,6 +609,8 @@ Controls.prototype.setup = function()
     controlsDynToggle.add(toggle, "quantaAbsorption", toggle.quantaAbsorption).onChange(SIM_corrupt);
     controlsDynToggle.add(toggle, "quantaCollide", toggle.quantaCollide).onChange(SIM_corrupt);
     controlsDynToggle.add(toggle, "quantaRandCollide", toggle.quantaRandCollide).onChange(SIM_corrupt);
+    controlsDynToggle.add(toggle, "synchronous", toggle.synchronous).onChange(SIM_corrupt);
+    controlsDynToggle.add(toggle, "continuous", toggle.continuous).onChange(SIM_corrupt);
     var controlsDynEmit = controlsDynamic.addFolder(subfolderPrefix + 'Dynamic' + subfolderDivider + 'Emission');
     controlsDynEmit.add(emission, "stability", 1, MAX_PARTICLES, 1).onChange(SIM_corrupt);
     controlsDynEmit.add(emission, "radiation", 1, MAX_PARTICLES, 1).onChange(SIM_corrupt);
@@ -480,6 +621,13 @@ Controls.prototype.setup = function()
     controlsDynEmit.add(emission, "prevRange", 0.0, 10.0, MIN_DIFF).onChange(SIM_corrupt);
     controlsDynEmit.add(emission, "prevWeight", 1, MAX_PARTICLES, 1).onChange(SIM_corrupt);
     controlsDynEmit.add(emission, "velocity", 0.0, MAX_VEL, MIN_DIFF).onChange(SIM_corrupt);
+    controlsDynEmit.add(emission, "dualImpact", emission.dualImpact).onChange(SIM_corrupt);
+    var controlsDynFission = controlsDynamic.addFolder(subfolderPrefix + 'Dynamic' + subfolderDivider + 'Fission');
+    controlsDynFission.add(fission, "enabled", fission.enabled).onChange(SIM_corrupt);
+    controlsDynFission.add(fission, "threshold", 0.0, 10.0, MIN_DIFF).onChange(SIM_corrupt);
+    controlsDynFission.add(fission, "chance", 0.0, 1.0, MIN_DIFF).onChange(SIM_corrupt);
+    controlsDynFission.add(fission, "split", Monad.SPLITS).onChange(SIM_corrupt);
+    controlsDynFission.add(fission, "speed", 0.0, 1.0, MIN_DIFF).onChange(SIM_corrupt);
     var controlsDynBond = controlsDynamic.addFolder(subfolderPrefix + 'Dynamic' + subfolderDivider + 'Bonding');
     controlsDynBond.add(bonding, "bounce", bonding.bounce).onChange(SIM_corrupt);
     controlsDynBond.add(bonding, "pullIn", bonding.pullIn).onChange(SIM_corrupt);
@@ -487,6 +635,33 @@ Controls.prototype.setup = function()
     controlsDynBond.add(bonding, "allowBreak", bonding.allowBreak).onChange(SIM_corrupt);
     controlsDynBond.add(bonding, "breakRatio", 1.0, 2.0, MIN_DIFF).onChange(SIM_corrupt);
     controlsDynBond.add(bonding, "mergeRatio", 0.0, 1.0, MIN_DIFF).onChange(SIM_corrupt);
+    controlsDynBond.add(bonding, "activation", bonding.activation).onChange(SIM_corrupt);
+    controlsDynBond.add(bonding, "bondEnergy", 0.0, MAX_PARTICLES, MIN_DIFF).onChange(SIM_corrupt);
+    controlsDynBond.add(bonding, "mergeEnergy", 0.0, MAX_PARTICLES, MIN_DIFF).onChange(SIM_corrupt);
+    controlsDynBond.add(bonding, "polarity", 0.0, 10.0, MIN_DIFF).onChange(SIM_corrupt);
+    var controlsDynRules = controlsDynamic.addFolder(subfolderPrefix + 'Dynamic' + subfolderDivider + 'Collision Rules');
+    controlsDynRules.add(rules, "quantaQuanta", Zones.RULES).onChange(SIM_corrupt);
+    controlsDynRules.add(rules, "quantaMonad", Zones.RULES).onChange(SIM_corrupt);
+    controlsDynRules.add(rules, "monadMonad", Zones.RULES).onChange(SIM_corrupt);
+    controlsDynRules.add(rules, "parentChild", Zones.RULES).onChange(SIM_corrupt);
+    var controlsDynBounce = controlsDynamic.addFolder(subfolderPrefix + 'Dynamic' + subfolderDivider + 'Bouncing');
+    controlsDynBounce.add(bouncing, "elastic", bouncing.elastic).onChange(SIM_corrupt);
+    controlsDynBounce.add(bouncing, "restitution", 0.0, 1.0, MIN_DIFF).onChange(SIM_corrupt);
+    controlsDynBounce.add(bouncing, "bias", 0.0, 1.0, MIN_DIFF).onChange(SIM_corrupt);
+    var controlsDynFields = controlsDynamic.addFolder(subfolderPrefix + 'Dynamic' + subfolderDivider + 'Fields');
+    for (var f in fields) {
+        controlsDynFields.add(fields[f], "strength", -MAX_VEL, MAX_VEL, MIN_DIFF).onChange(SIM_corrupt).name(f + " strength");
+        controlsDynFields.add(fields[f], "falloff", 0.0, 10.0, MIN_DIFF).onChange(SIM_corrupt).name(f + " falloff");
+        controlsDynFields.add(fields[f], "attractons", -1.0, 1.0, MIN_DIFF).onChange(SIM_corrupt).name(f + " attractons");
+        controlsDynFields.add(fields[f], "repulsons", -1.0, 1.0, MIN_DIFF).onChange(SIM_corrupt).name(f + " repulsons");
+    }
+    controlsDynFields.add(fields.drift, "x", -1.0, 1.0, MIN_DIFF).onChange(SIM_corrupt).name("drift x");
+    controlsDynFields.add(fields.drift, "y", -1.0, 1.0, MIN_DIFF).onChange(SIM_corrupt).name("drift y");
+    controlsDynFields.add(fields.drift, "z", -1.0, 1.0, MIN_DIFF).onChange(SIM_corrupt).name("drift z");
+    var controlsDynField = controlsDynamic.addFolder(subfolderPrefix + 'Dynamic' + subfolderDivider + 'Zone Field');
+    controlsDynField.add(field, "source", Zones.FIELDS).onChange(SIM_corrupt);
+    controlsDynField.add(field, "decay", MIN_DIFF, 1.0, MIN_DIFF).onChange(SIM_corrupt);
+    controlsDynField.add(field, "strength", -MAX_VEL, MAX_VEL, MIN_DIFF).onChange(SIM_corrupt);
 
     /* ACCESS PARAMETERS */
     var controlsAccess = this.gui.addFolder(folderPrefix + 'Accessibility' + folderSuffix);
@@ -505,6 +680,7 @@ Controls.prototype.setup = function()
     controlsVisDisplay.add(display, "clickInfo", display.clickInfo);
     controlsVisDisplay.add(display, "clickBox", display.clickBox);
     controlsVisDisplay.add(display, "clickRay", display.clickRay);
+    controlsVisDisplay.add(display, "field", display.field);
     var controlsVisCamera = controlsVisual.addFolder(subfolderPrefix + 'Visualization' + subfolderDivider + 'Camera');
     controlsVisCamera.add(camera, "allowWindowRender", camera.allowWindowRender).onChange(SIM_cam_m);
     controlsVisCamera.add(camera, "customWindowRender", camera.customWindowRender).onChange(SIM_cam_m);
@@ -541,6 +717,7 @@ Controls.prototype.setup = function()
     controlsDebSystem.add(system, "toroidbond", system.toroidbond);
     controlsDebSystem.add(system, "wireframe", system.wireframe);
     controlsDebSystem.add(system, "interaction", system.interaction);
+    controlsDebSystem.add(system, "accelerator", system.accelerator);
 }
 
 /**
@@ -549,31 +726,39 @@ Controls.prototype.setup = function()
  * will be altered until it is a perfect factor of world diameter (radius * 2), first by decreasing
  * the zoning size, and if no numbers perfectly divide into world diameter, the zoning is
  * incremented until the worst case scenario where zoning = radius, which would result in
- * just 8 zones for particles to segregate into. Controls are then adjusted to reflect these
- * acceptable values.
+ * just 8 zones for particles to segregate into. Any radius set along a single axis is then
+ * rounded to a multiple of the zoning (at least one, for two zones along the axis, and at most
+ * as many as Zones.LENGTH allows). Controls are then adjusted to reflect these acceptable values.
  */
 Controls.prototype.checkDimensions = function()
 {
-    var size = this.generation.world.radius;
+    var world = this.generation.world;
+    var size = world.radius;
     var cut = Math.pow(10, Math.max(0, Math.floor(log(10, size)) - 1));//determines power of 10 so that radius with have roughly 2 significant figures
     size = Math.round(size / cut) * cut;//resets size to have roughly 2 sig figs
-    var unit = Math.ceil(Math.max(size / 80, Math.min(size, this.generation.world.zoning)));//on the computer being tested, zoning regions beyond 80x80x80
-    var units = [unit,unit];                                                                //(array size beyond 1/2 million) seem to cause memory issues
-    while ((size*2) % units[0] && units[0] > size / 80) units[0]--;//set first unit as large as possible that works within constraints
+    var fewest = size * 2 / Zones.LENGTH;//zones are only allocated while occupied (see Zones), so only the zones per side are limited
+    var unit = Math.ceil(Math.max(fewest, Math.min(size, this.generation.world.zoning)));
+    var units = [unit,unit];
+    while ((size*2) % units[0] && units[0] - 1 >= fewest) units[0]--;//set first unit as large as possible that works within constraints
     while ((size*2) % units[1] && units[1] < size) units[1]++;//set second unit as small as possible that works within constraints
     unit = (!((size*2) % units[0]) && Math.abs(unit-units[0]) <= Math.abs(unit-units[1])) ? units[0] : units[1];//smaller unit is preferred
 
-    this.generation.world.radius = size;//size is the radius of the world
-    this.generation.world.zoning = unit;//unit is the zoning unit
+    world.radius = size;//size is the radius of the world
+    world.zoning = unit;//unit is the zoning unit
+    ['radiusX', 'radiusY', 'radiusZ'].forEach(function(axis) { //the radius along an axis is a whole number of zones
+        if (world[axis]) world[axis] = Math.min(Math.max(unit, Math.round(world[axis] / unit) * unit), unit * Zones.LENGTH / 2);
+    });
 
     //as of this writing, dat.gui's listen function is broken for manipulable values (esp. sliders)
-    //the below code rectifies that by popping off the incorrect radius and zoning and then
+    //the below code rectifies that by popping off the incorrect radii and zoning and then
     //popping back on the sliders with correct,acceptable defaults
-    this.listen[0].remove(this.listen[1]);
-    this.listen[0].remove(this.listen[2]);
-    this.listen.pop(); this.listen.pop();
-    this.listen.push(this.listen[0].add(this.generation.world, "radius", 2.0, this.RENDER, 1.0));
-    this.listen.push(this.listen[0].add(this.generation.world, "zoning", 1.0, this.RENDER, 1.0));
+    if (!this.listen.length) return;//no gui to correct
+    while (this.listen.length > 1) this.listen[0].remove(this.listen.pop());
+    this.listen.push(this.listen[0].add(world, "radius", 2.0, this.RENDER, 1.0));
+    this.listen.push(this.listen[0].add(world, "zoning", 1.0, this.RENDER, 1.0));
+    this.listen.push(this.listen[0].add(world, "radiusX", 0, this.RENDER, 1.0));
+    this.listen.push(this.listen[0].add(world, "radiusY", 0, this.RENDER, 1.0));
+    this.listen.push(this.listen[0].add(world, "radiusZ", 0, this.RENDER, 1.0));
 }
 
 /**
@@ -584,13 +769,38 @@ Controls.prototype.checkGeneration = function()
 {
     var mass = this.generation.mass;
     var world = this.generation.world;
+    var x = world.radiusX || world.radius, y = world.radiusY || world.radius, z = world.flat ? 0 : world.radiusZ || world.radius;
     if (mass.maximum < mass.minimum) mass.minimum = mass.maximum;
     if (mass.median > mass.maximum) mass.median = mass.maximum;
     if (mass.median < mass.minimum) mass.median = mass.minimum;
-    if (world.strict) world.spread = (world.radius * Math.pow(3,1/2)) / 2; //if strict, spread actually becomes distance between particles
+    if (world.strict) world.spread = (Math.sqrt((x*x + y*y + z*z) / 3) * Math.pow(3,1/2)) / 2; //if strict, spread actually becomes distance between particles (half that between opposite corners)
     if (world.spread > world.radius) world.spread = 0;
 }
 
+/**
+ * Checks the collision rules (see dynamic.rules) and corrects them: a rule that is not one of
+ * Zones.RULES becomes 'auto', as do weights of which none is a known rule with a positive weight;
+ * any other unknown or non-positive weight is dropped.
+ */
+Controls.prototype.checkRules = function()
+{
+    var rules = this.dynamic.rules;
+    var rule = null;
+    var kept = 0;
+    for (var kind in rules) {
+        rule = rules[kind];
+        if (typeof rule === 'string') {
+            if (Zones.RULES.indexOf(rule) < 0) rules[kind] = 'auto';
+            continue;
+        }
+        kept = 0;
+        for (var name in rule)
+            if (Zones.RULES.indexOf(name) < 0 || !(rule[name] > 0)) delete rule[name];
+            else kept++;
+        if (!kept) rules[kind] = 'auto';
+    }
+}
+
 /**
  * Called whenever controls are updated that need to be instantly checked and corrected. Then,
  * the gui is refreshed to account for any change in appearances.
@@ -598,10 +808,11 @@ Controls.prototype.checkGeneration = function()
 Controls.prototype.update = function()
 {
     DEBUG = this.debug.allow;
+    this.checkRules();
     this.constant.maximum = Math.pow(2,this.constant.power);
     if (this.debug.particle.index < 0)
         this.debug.particle.index = Math.floor(Math.random() * this.stats.instant.monads);
-    refreshGui(this.gui);
+    if (this.gui) refreshGui(this.gui);
     //refreshGui(this.gui2);//refreshGui(this.gui3);//nothing to refresh for gui2 and 3
 }
 
@@ -20,22 +20,30 @@
  * matching control parameters, passing on the correct values to statistics, calling zones functions
  * for collision, handling wireframes, rendering and camera information, and cycling through all of
  * the monads for processing each tick. It is set up in a such a way that an external program need
- * only create and pass a statistics object to emergence for it to work. The initialization function
- * specifically automatically appends to html document, declares rendering objects (see ../js), and
- * sets up the control scheme. Setup() must still be called for the emergence object to begin.
+ * only create and pass a statistics object to emergence for it to work. The startup function
+ * sets up the control scheme and, unless headless, appends to the html document and declares
+ * rendering objects (see ../js). Startup() must still be called for the emergence object to begin.
+ *
+ * A headless emergence never touches the document, WebGL, or dat.gui: monads keep their own
+ * position and color vectors, no cloud or scene is built, and the physics only reports to
+ * whatever observers have been attached (see observe()), so the same update loop can run in
+ * plain Node (see headless.js). When not headless, the visuals are attached as one such observer.
  *
  * Each simulation has an id for tracking--the first 8 digits represent a randomized number that
  * increments by 1 every simulation reset, and the second 8 digits which start a counter at 0
- * and increment every time the simulation is altered dynamically during runtime.
+ * and increment every time the simulation is altered dynamically during runtime. The first 8
+ * digits also seed every random decision of the run (see seedRandom in basic.js), so entering
+ * them into the generation seed control and restarting replays that run tick for tick.
  *
  * @param {Statistics} statistics    a fully instantiated statistics.js object for use of reporting data
+ * @param {boolean} [headless]      whether to run without any rendering, html, or gui (default false)
  */
-function Emergence(statistics)
+function Emergence(statistics, headless)
 {
-    /** The container object for the html page */
-    this.container = document.createElement('div');
-    this.container.style.cssText = "position:fixed;top:0;left:0";
-    document.body.appendChild(this.container);
+    /** Whether the simulation runs without rendering, html, or gui */
+    this.headless = headless || false;
+    /** Placeholder for the container object for the html page */
+    this.container = null;
 
     /** Statistics memory reference */
     this.stats = statistics;
@@ -52,17 +60,31 @@ function Emergence(statistics)
     this.scene = null;
     /** Placeholder for points object which holds the graphical information for all monads */
     this.cloud = null;
+    /** Placeholder for points object which overlays the zone field, one point per zone (see updateOverlay) */
+    this.overlay = null;
     /** Placeholder for the zones object which act as time-saving containers for monad collision */
     this.zones = null;
+    /** Placeholder for the synchrony object, which processes ticks when the synchronous toggle is on */
+    this.synchrony = null;
+    /** Placeholder for the relay object, which has the physics run in a web worker if enabled (see relay.js) */
+    this.relay = null;
+    /** Placeholder for the store object, which holds the monads' data in typed arrays if packed (see store.js) */
+    this.store = null;
+    /** Placeholder for the accelerator object, which computes synchronous ticks on the GPU if enabled (see accelerator.js) */
+    this.accelerator = null;
     /** Placeholder for the controls object, which parametrizes the system and controls behaviors */
     this.controls = null;
 
     /** Placeholder for the monads array, which holds memory references to all the monads */
     this.monads = [];
+    /** Functions called with the simulation after every processed tick (see observe()) */
+    this.observers = [];
     /** Array to hold the world boundary wireframe as well as any user-generated particle boxes */
     this.wireframe = [];
     /** Parallel array to the wireframe array to contain the indexes */
     this.focus = [];
+    /** Array to hold the meshes showing the world's obstacles (see initializeObstacles) */
+    this.solids = [];
     /** The maximum amount of particles that can be displayed (will be set permanently later) */
     this.MAX = 0;
     /** How long to run the simulation before restarting (0 means forever) */
@@ -77,19 +99,27 @@ function Emergence(statistics)
     /** The range of ids possible (actually just the first half) */
     this.idRange = 100000000;//arbitrary--for spacing with current font settings
     /** The id itself, a 16-digit number comprised of the randomized simulation id (the first 8 digits) and
-     * the settings id (the second 8 digits) which start at 00000000 and increment one for every dynamic change */
+     * the settings id (the second 8 digits) which start at 00000000 and increment one for every dynamic change;
+     * unseeded Math.random is deliberate here, as this is where every new run's seed comes from */
     this.id = Math.floor(Math.random()*this.idRange)*this.idRange;
 }
 
+/** Colors of the zone field overlay (see updateOverlay) */
+Emergence.BLUE = new THREE.Color(0, 0, 1);
+Emergence.RED = new THREE.Color(1, 0, 0);
+Emergence.GREEN = new THREE.Color(0, 0.75, 0);
+
 /**
  * Initializes the system visuals (camera, webgl, etc.) and starts the simulation using the
  * restart function. Debugging info also run just once for startup if enabled. This function
  * only needs to be called once after the emergence object is instantiated; after that, only
  * restart must be called.
+ *
+ * @param {int[]} [hash]    initial conditions to use instead of the url hash (see Controls)
  */
-Emergence.prototype.startup = function()
+Emergence.prototype.startup = function(hash)
 {   //fill in placeholder values
-    this.controls = new Controls(this);//debugInit activates here
+    this.controls = new Controls(this, hash);//debugInit activates here
     this.MAX = this.controls.constant.maximum;//must be set after controls are instantiated
     this.monads = new Array(this.MAX).fill(null);//must also be set after controls; null because monads must be instantiated each with different parameters
 
@@ -99,8 +129,15 @@ Emergence.prototype.startup = function()
     var debugging = this.controls.debug;
     if (debugging.startup) debugging.system.initialization = true; //set debug in controls as well
 
+    if (this.controls.constant.worker) //physics runs in a web worker; this simulation mirrors it
+        try { this.relay = new Relay(this); }
+        catch (error) { //e.g. the page was opened from a file, where browsers refuse workers
+            debug("always", ["Worker unavailable, running on the main thread instead", error.message]);
+            this.controls.constant.worker = false;
+        }
+
     this.restartSimulation();//start 'er up
-    this.initializeVisuals();
+    if (!this.headless) this.initializeVisuals();
 
     if (debugging.startup) {//set to false afterwards so same startup scripts don't repeat
         debugging.startup = false;
@@ -118,22 +155,20 @@ Emergence.prototype.startup = function()
 /**************************************************************/
 
 /**
- * Sets up Perspective Camera, WebGLRenderer, and OrbitControls. The camera is set to control
- * default specifications (default aspect 1.77 ratio 16:9) with positioning so the entire toroid
- * is viewed at the same relative distance at the start of the simulation.
+ * Sets up the html container, WebGLRenderer, and camera (see initializeCamera). Finally, the
+ * visuals are attached as an observer so they follow the monads every tick.
  */
 Emergence.prototype.initializeVisuals = function()
-{   //memory references
+{   //container setup
+    this.container = document.createElement('div');
+    this.container.style.cssText = "position:fixed;top:0;left:0";
+    document.body.appendChild(this.container);
+
+    //memory references
     camera = this.controls.visual.camera;
     var height = camera.customWindowRender ? camera.height : window.innerHeight;
     var width = camera.customWindowRender ? camera.width : window.innerWidth;
 
-    //camera setup
-    this.camera = new THREE.PerspectiveCamera(60, width / height, 1, Math.pow(this.controls.RENDER,2));
-    this.camera.position.x = 0;
-    this.camera.position.y = this.zones.size * -1/4;
-    this.camera.position.z = this.zones.size * (7/2);
-
     //renderer setup
     this.renderer = new THREE.WebGLRenderer();
     this.renderer.sortObjects = false;
@@ -142,11 +177,46 @@ Emergence.prototype.initializeVisuals = function()
     this.renderer.setSize(width,height);
     this.container.appendChild(this.renderer.domElement);
 
+    this.initializeCamera();
+
+    //visuals only follow the simulation, never the other way around
+    this.observe(function(simulation) { simulation.updateVisuals(); });
+
+    this.accelerate();//the first run had no renderer to compute with yet
+}
+
+/**
+ * Sets up the camera and the OrbitControls directing it (replacing any from a previous run). The
+ * camera is set to control default specifications (default aspect 1.77 ratio 16:9) with positioning
+ * so the entire toroid is viewed at the same relative distance at the start of the simulation. A
+ * flat world is instead viewed top-down by an orthographic camera that can pan and zoom but not
+ * rotate out of the plane.
+ */
+Emergence.prototype.initializeCamera = function()
+{   //memory references
+    var camera = this.controls.visual.camera;
+    var height = camera.customWindowRender ? camera.height : window.innerHeight;
+    var width = camera.customWindowRender ? camera.width : window.innerWidth;
+    var view = this.zones.size * 5/4;//half the height of a flat world's view
+
+    //camera setup
+    if (this.zones.flat) {
+        this.camera = new THREE.OrthographicCamera(-view * width / height, view * width / height, view, -view, 1, Math.pow(this.controls.RENDER,2));
+        this.camera.position.set(0, 0, this.zones.size * (7/2));//as far as the perspective camera, so particles appear the same size
+    } else {
+        this.camera = new THREE.PerspectiveCamera(60, width / height, 1, Math.pow(this.controls.RENDER,2));
+        this.camera.position.x = 0;
+        this.camera.position.y = this.zones.size * -1/4;
+        this.camera.position.z = this.zones.size * (7/2);
+    }
+
     //director setup
+    if (this.director) this.director.dispose();
     this.director = new THREE.OrbitControls(this.camera,this.renderer.domElement);
     this.director.maxZoom = 10000000;
     this.director.minZoom = -10000000;
-    this.camera.rotation.set(-6.558856028509335e-17,0,0,"XYZ");//must be set after director instantiation
+    this.director.enableRotate = !this.zones.flat;
+    if (!this.zones.flat) this.camera.rotation.set(-6.558856028509335e-17,0,0,"XYZ");//must be set after director instantiation
 }
 
 /**
@@ -164,13 +234,15 @@ Emergence.prototype.initializeVisuals = function()
  * 5 -> 4 6 7           2	-	+	-       6   -   +   +
  * 4 -> 0 2 6           3	+	+	-       7	+	+	+
  *
- * @param {float} radius    the cuboid radius (cube side = radius * 2) or size desired of the cube
- * @param {Vector3} vector  where the center of the cube is to be located
- * @param {int} index       the index of the monads array to follow, or -1 for static
+ * @param {float|Vector3} radius    the cuboid radius (cube side = radius * 2) or size desired of the cube,
+ *                                  or the radius along each axis
+ * @param {Vector3} vector          where the center of the cube is to be located
+ * @param {int} index               the index of the monads array to follow, or -1 for static
  */
 Emergence.prototype.initializeCube = function(radius, vector, index)
 {
     var cube = null;
+    var extent = typeof radius === 'number' ? new THREE.Vector3(radius, radius, radius) : radius;
     /** Each of these numbers should be regarded in binary (i.e., 000...111) where their Bitwise
      * and with a binary value of 1,10, or 100 will determine both which corner to pick and
      * what side of the cube that corner is on (e.g., 6 is 110, so dimensions 100/4 and 10/2 will
@@ -194,7 +266,7 @@ Emergence.prototype.initializeCube = function(radius, vector, index)
             //          and (0 for p = 0,1; 1 for p = 2,3) for second coords index
             var coord = coords[(s + (p > 0 && p < 3)) % 4][0 + (p > 1)];//select appropriate coord from list
             cube.angle.push({x: corner(coord, 1), y: corner(coord, 2), z: corner(coord, 4)});//combination of 1 and -1
-            cube.vertices.push(new THREE.Vector3(radius * cube.angle[p].x, radius * cube.angle[p].y, radius * cube.angle[p].z));//store coordinates for updating box
+            cube.vertices.push(new THREE.Vector3(extent.x * cube.angle[p].x, extent.y * cube.angle[p].y, extent.z * cube.angle[p].z));//store coordinates for updating box
             cube.vertices[p].add(vector);//shift from center
             cube.colors.push(new THREE.Color(this.controls.visual.wireframeColor));
             if (DEBUG) debug(["system","wirefame"],[((s + (p > 0 && p < 3)) % 4) + "    " + (0 + (p > 1)) + "       " + coord, cube.vertices]);
@@ -213,11 +285,47 @@ Emergence.prototype.initializeCube = function(radius, vector, index)
     }
 }
 
+/**
+ * Initializes a wireframe mesh for every obstacle in the world (see obstacle.js), colored as the
+ * world boundaries: planes and membranes are drawn across the whole world (membranes with a ring
+ * around each of their holes), spheres and boxes as they are.
+ */
+Emergence.prototype.initializeObstacles = function()
+{   //memory references
+    var obstacles = this.zones.obstacles;
+    var span = this.zones.size * 2;
+    var material = new THREE.MeshBasicMaterial({ color: this.controls.visual.wireframeColor, wireframe: true,
+                                                 transparent: true, opacity: 0.25 });
+
+    //local variables
+    var obstacle = null, mesh = null, hole = null;
+    var facing = new THREE.Vector3();
+
+    this.solids = [];
+    for (var o = 0; o < obstacles.length; o++) {
+        obstacle = obstacles[o];
+        if (obstacle.shape === 'sphere') mesh = new THREE.Mesh(new THREE.SphereGeometry(obstacle.radius, 16, 12), material);
+        else if (obstacle.shape === 'box') mesh = new THREE.Mesh(new THREE.BoxGeometry(obstacle.extent.x * 2, obstacle.extent.y * 2, obstacle.extent.z * 2), material);
+        else mesh = new THREE.Mesh(obstacle.shape === 'plane' ? new THREE.PlaneGeometry(span, span) : new THREE.BoxGeometry(span, span, obstacle.thickness), material);
+        mesh.position.copy(obstacle.center);
+        mesh.lookAt(facing.copy(obstacle.center).add(obstacle.normal));//the geometry's z faces the plane's normal
+        this.solids.push(mesh);
+
+        for (var h = 0; h < obstacle.holes.length; h++) {
+            hole = obstacle.holes[h];
+            mesh = new THREE.Mesh(new THREE.RingGeometry(hole.radius, hole.radius + obstacle.thickness / 4, 32), material);
+            mesh.position.copy(hole.center);
+            mesh.lookAt(facing.copy(hole.center).add(obstacle.normal));
+            this.solids.push(mesh);
+        }
+    }
+}
+
 /**
  * Initializes all of the particles at the beginning of the simulation. Uses controls set by user
  * to monitor the particles as they are being created and cutoff production as generation settings
- * are met. Connects each particle to its zone and places it into the rendering system via the
- * three.js Points. Calling this function will effectively overwrite all previous monad and rendering
+ * are met. Connects each particle to its zone (see initializeCloud for placing the particles into
+ * the rendering system). Calling this function will effectively overwrite all previous monad
  * data, which allows for an easy restart. Because this function takes time to develop each monad
  * individually as well as each quanta within each monad (via monad's instantiation function),
  * it can take a long time to set up if the mass of the entire system is very large.
@@ -231,7 +339,6 @@ Emergence.prototype.initializeParticles = function()
     var generation = this.controls.generation;
 
     //local variables
-    var particles = new THREE.Geometry();
     var monad = null;
     var currentMass = 0;
     var currentParticles = 0;
@@ -248,10 +355,11 @@ Emergence.prototype.initializeParticles = function()
     var enforce = this.enforce;
 
     for (var p = 0; p < this.MAX; p++) { //for each potential particle
-        monads[p] = new Monad(particles, this.controls,
+        monads[p] = new Monad(p, this.controls,
                                 this.stats, this.zones,
                                 [repulsons,attractons,
-                                currentParticles === this.initial ? 0 : this.MAX - currentMass]);
+                                currentParticles === this.initial ? 0 : this.MAX - currentMass],
+                                this.store);
         monad = monads[p];
 
         if (currentParticles < this.initial && currentMass < this.MAX) { //particles and mass can still be placed into system
@@ -282,6 +390,24 @@ Emergence.prototype.initializeParticles = function()
 
     if (currentParticles === 1)//for a single particle, place in center of toroid
         monads[0].position.x = monads[0].position.y = monads[0].position.z = 0.0;
+}
+
+/**
+ * Places every monad into the rendering system via the three.js Points. The geometry does not
+ * copy the monads but holds the very same position and color objects each monad owns, so
+ * anything the physics changes is what gets rendered once flagged (see updateVisuals).
+ */
+Emergence.prototype.initializeCloud = function()
+{   //memory references
+    var monads = this.monads;
+
+    //local variables
+    var particles = new THREE.Geometry();
+
+    for (var p = 0; p < this.MAX; p++) {
+        particles.vertices.push(monads[p].position);
+        particles.colors.push(monads[p].color);
+    }
 
     //get texture
     var loader = new THREE.TextureLoader();
@@ -313,6 +439,79 @@ Emergence.prototype.initializeParticles = function()
 /**************************************************************/
 /**************************************************************/
 
+/**
+ * Observer attached by initializeVisuals that brings the rendering up to date after each tick:
+ * boxes are moved to follow their particles, the zone field overlay is recolored, and the cloud
+ * is marked for a visual update.
+ */
+Emergence.prototype.updateVisuals = function()
+{
+    var cloud = this.cloud.geometry;
+
+    if (this.wireframe.length > 4) this.updateWireframe(); //only update if user has added particle boxes
+    if (this.overlay || this.controls.visual.display.field) this.updateOverlay();
+
+    //let renderer know particles need visual update
+    cloud.colorsNeedUpdate = true;
+    cloud.verticesNeedUpdate = true;
+}
+
+/**
+ * Shows the zone field (see Zones.updateField) as a point at the center of every zone, colored by
+ * the zone's value relative to the largest in the field: from the background color toward blue
+ * (positive) or red (negative) for a charge field, and toward green for a mass or flux field. Zones
+ * with next to no field are left out. The overlay is built the first time it is shown and removed
+ * once the field or its display is turned off.
+ */
+Emergence.prototype.updateOverlay = function()
+{   //memory references
+    var zones = this.zones;
+    var field = zones.field;
+    var lengths = zones.lengths;
+    var extent = zones.extent;
+    var zoning = zones.zoning;
+    var background = new THREE.Color(this.controls.visual.backgroundColor);
+    var charge = this.controls.dynamic.field.source === 'charge';
+
+    //local variables
+    var geometry = null;
+    var row = null;
+    var value = 0.0;
+    var x = 0, y = 0, z = 0, i = 0;
+
+    if (!field || !this.controls.visual.display.field) {
+        if (this.overlay) this.scene.remove(this.overlay);
+        this.overlay = null;
+        return;
+    }
+
+    if (!this.overlay) {
+        geometry = new THREE.Geometry();
+        for (i = 0; i < lengths.x * lengths.y * lengths.z; i++) {
+            geometry.vertices.push(new THREE.Vector3());
+            geometry.colors.push(new THREE.Color());
+        }
+        this.overlay = new THREE.Points(geometry, new THREE.PointsMaterial({ size: zoning / 2, vertexColors: THREE.VertexColors,
+                                                                             transparent: true, opacity: 0.5, depthWrite: false }));
+        this.scene.add(this.overlay);
+    }
+    geometry = this.overlay.geometry;
+
+    for (x = 0, i = 0; x < lengths.x; x++)
+        for (y = 0; y < lengths.y; y++)
+            for (z = 0, row = field[x * lengths.y + y]; z < lengths.z; z++, i++) {
+                value = row && zones.fieldMax ? row[z] / zones.fieldMax : 0;
+                if (Math.abs(value) < this.controls.constant.granularity) { //too faint to show
+                    geometry.vertices[i].setScalar(this.controls.NONRENDER_DISTANCE);
+                    continue;
+                }
+                geometry.vertices[i].set(-extent.x + (x + 0.5) * zoning, -extent.y + (y + 0.5) * zoning, zones.flat ? 0 : -extent.z + (z + 0.5) * zoning);
+                geometry.colors[i].copy(background).lerp(!charge ? Emergence.GREEN : (value > 0 ? Emergence.BLUE : Emergence.RED), Math.abs(value));
+            }
+    geometry.colorsNeedUpdate = true;
+    geometry.verticesNeedUpdate = true;
+}
+
 /**
  * Checks every box that is attached to a particle and updates its coordinates so that the box
  * always surrounds its particle.
@@ -379,39 +578,46 @@ Emergence.prototype.updateWireframe = function()
  * monads may be penalized with quanta that are to be emitted next tick.
  *
  * The last state that affects the monad physically is its position being updated by simply
- * added its velocity (which may have been changed by the above checks) to its position. The
+ * added its velocity (which may have been changed by the above checks, and is then accelerated by
+ * any external force fields--see controls.dynamic.fields) to its position. The
  * monad is considered done with its own self-check this loop.
  *
  * Finally, debug information is processed for the monad. After all monads are processed,
- * wireframes are processed simply to properly encase their monads (no physical effects--
- * simply visual) and some debugging and statistical information is gathered. The system
- * passes control onto statistics to analyze the data collected during this loop. The system
- * emergence loop update is considered finished and terminates. It is up to an external
+ * some debugging and statistical information is gathered. The system passes control onto
+ * statistics to analyze the data collected during this loop and then notifies every observer,
+ * such as the visuals which encase boxed monads and flag the cloud for rendering (no physical
+ * effects--simply visual). The system emergence loop update is considered finished and terminates. It is up to an external
  * source to call the update loop whenever an update is desired.
  *
  *      ^   because as each particle is processed it can change other particle's properties (such as
  *          through collision or other methods) and because particles do not store two sets of info
  *          (no before and after for position, composition, etc.) to save memory and speed up the
  *          loop, there is no true way except for the first tick to analyze all of the particles
- *          in the same quantum step without interference.
+ *          in the same quantum step without interference. When the synchronous toggle is on, the
+ *          loop is replaced by a synchrony update, which processes the monads in phases from the
+ *          previous tick's state so that the order of the monads array makes no difference
+ *          (see synchrony.js).
  *
  *      ^^  By default settings, the bonding stage simply prevents volume overlap between monads and
  *          disassociates monads from checking monads that are too far to worry about boundary overlap.
  *          In this way, the collision check acts to identify neighbors and the bonding check simply
  *          ensures monads do not overlap.
+ *
+ * @param {int} [ticks]     if the physics runs in a worker, how many ticks it should process
+ *                          (1 by default; see relay.js); otherwise every call processes one tick
  */
-Emergence.prototype.update = function()
+Emergence.prototype.update = function(ticks)
 {   //memory references
-    var max = Math.max;
-    var random = Math.random;
+    var random = RANDOM.physics.next;
     var controls = this.controls;
-    var ms = controls.dynamic.maxSpeed;
     var debugParticle = controls.debug.particle.index;
     var toggle = controls.dynamic.toggle;
     var displacement = toggle.displacement;
     var collision = toggle.collision;
     var emission = toggle.emission;
+    var fission = controls.dynamic.fission.enabled;
     var bonding = toggle.bonding;
+    var continuous = toggle.continuous;
     var qcollide = toggle.quantaCollide;
     var rqcollide = toggle.quantaRandCollide;
     var monads = this.monads;
@@ -421,8 +627,7 @@ Emergence.prototype.update = function()
     var strict = controls.generation.world.strict;
     var instant = stats.instant;
     var maximum = stats.maximum;
-    var cloud = this.cloud.geometry;
-    var wireframe = this.wireframe;
+    var observers = this.observers;
 
     //local variables
     var allowInteract = !time.first;
@@ -431,20 +636,22 @@ Emergence.prototype.update = function()
     var buffer = this.enforce ? 0 : Math.ceil(Math.min(this.MAX / 8, controls.dynamic.emission.maximum));
     var monad = null, quanta = null, pos = null, vel = null, zone = null, bonds = null;
     var balance = 0.0;
-    var speed = 0;
-    var mass = 0;
-    var p = 0, b = 0;
-
-    if (emergence.click) emergence.click--; //if clicked, countdown time until double-click invalid
+    var p = 0, b = 0, o = 0;
 
     if (!(controls.step || controls.animate)) return; //do not update physics or other information if simulation paused
 
+    if (this.relay) { //the worker processes the tick and the relay notifies the observers once it is back
+        this.relay.request(ticks || 1);
+        return;
+    }
+
     //reset instant calculations that need to be counted from 0 every iteration of update
     instant.render = false;
     instant.velocity = instant.velplus = instant.velneg = instant.mass = instant.polarity = instant.cloud = instant.mcharge = instant.pcharge = instant.acharge = 0;
 
-    //for every particle
-    loop: for (p = 0; p < this.MAX; p++) {
+    //for every particle, either all at once (see synchrony.js, which accelerated runs always use) or one after another
+    if (toggle.synchronous || this.accelerator) this.synchrony.update(run, buffer);
+    else loop: for (p = 0; p < this.MAX; p++) {
         monad = monads[p];
         quanta = monad.quanta;
         if (quanta.radius === 0) continue;//do not update if nonexistent
@@ -455,24 +662,8 @@ Emergence.prototype.update = function()
         bonds = monad.bonds;
 
         //statistics
-        mass = monad.getMass();
+        this.measure(monad);
         monad.absorptions = 0;
-        if (mass > 1 || qcollide) { //record temperature information for only colliding particles
-            speed = monad.getSpeed();
-            instant.velocity += speed;
-            instant.velplus += (speed / ms) * (quanta.attractons / mass);
-            instant.velneg += (speed / ms) * (quanta.repulsons / mass);
-            maximum.heaviest = max(maximum.heaviest, mass);
-        }
-        if (mass === 1) { //record quanta information
-            instant.cloud += quanta.attractons ? 1 : 0;
-        } else { //record monad information
-            instant.mass += mass;
-            instant.polarity += max(quanta.attractons,quanta.repulsons) / mass;
-            instant.pcharge += ((max(quanta.attractons,quanta.repulsons)/mass)-0.5) * (quanta.attractons > quanta.repulsons ? 1 : -1);
-            instant.acharge += quanta.attractons / mass;
-            instant.mcharge += (quanta.attractons / mass) * mass;
-        }
 
         //physics information update (countdowns, collisions, emissions, bonding)
         if (run) {
@@ -494,6 +685,10 @@ Emergence.prototype.update = function()
                         if (zones.checkCollisions(monad)) //returns true if particle disintegrated or merged into another in a collision
                             continue;
 
+                    if (fission && (displacement || zones.free > buffer)) //unstable enough monads may split in two
+                        if (monad.checkFission())
+                            monad.fission(monads[zones.nextFreeSlot(buffer)]);
+
                     if (emission && (displacement || zones.free > buffer)) //displacement is enabled and there is room for more new particles
                         if (monad.checkEmission())
                             while (quanta.emit) //there are quanta remaining that should be emitted
@@ -510,6 +705,8 @@ Emergence.prototype.update = function()
             //countdowns and positional update based on velocity
             if (quanta.mountdown < 0) quanta.mountdown = 0;//check for negative quanta.m
             if (quanta.countdown === 0 && monad.getMass() > 1) quanta.countdown++;
+            monad.updateFields();
+            if (continuous) zones.depart(monad);//monads after this one sweep against its path from where it starts
             monad.updatePosition();
         }
 
@@ -523,22 +720,58 @@ Emergence.prototype.update = function()
         }
     } //end particle loop
 
-    if (wireframe.length > 4) this.updateWireframe(); //only update if user has added particle boxes
-
     controls.step = false;//signal to controls that one tick has passed in case of user step-pausing
 
-    //let renderer know particles need visual update
-    cloud.colorsNeedUpdate = true;
-    cloud.verticesNeedUpdate = true;
+    //monads imprint on the zone field, which they feel next tick
+    zones.updateField();
 
     //once all monads have been processed, update system wide single-tick data gathering
     stats.update(this);
-    if (time.first) stats.monitor.update();
+    if (time.first) stats.frame();
     time.first = false;
 
+    //let anything following the simulation (e.g. the renderer) know a tick has passed
+    for (o = 0; o < observers.length; o++)
+        observers[o](this);
+
     if (DEBUG) debug(["system","monads"],[this.monads]);
 }
 
+/**
+ * Adds a monad's temperature, composition, and charge to the instant statistics of the tick.
+ *
+ * @param {Monad} monad the monad to measure
+ */
+Emergence.prototype.measure = function(monad)
+{   //memory references
+    var max = Math.max;
+    var ms = this.controls.dynamic.maxSpeed;
+    var instant = this.stats.instant;
+    var maximum = this.stats.maximum;
+    var quanta = monad.quanta;
+
+    //local variables
+    var mass = monad.getMass();
+    var speed = 0;
+
+    if (mass > 1 || this.controls.dynamic.toggle.quantaCollide) { //record temperature information for only colliding particles
+        speed = monad.getSpeed();
+        instant.velocity += speed;
+        instant.velplus += (speed / ms) * (quanta.attractons / mass);
+        instant.velneg += (speed / ms) * (quanta.repulsons / mass);
+        maximum.heaviest = max(maximum.heaviest, mass);
+    }
+    if (mass === 1) { //record quanta information
+        instant.cloud += quanta.attractons ? 1 : 0;
+    } else { //record monad information
+        instant.mass += mass;
+        instant.polarity += max(quanta.attractons,quanta.repulsons) / mass;
+        instant.pcharge += ((max(quanta.attractons,quanta.repulsons)/mass)-0.5) * (quanta.attractons > quanta.repulsons ? 1 : -1);
+        instant.acharge += quanta.attractons / mass;
+        instant.mcharge += (quanta.attractons / mass) * mass;
+    }
+}
+
 
 
 /**************************************************************/
@@ -549,12 +782,16 @@ Emergence.prototype.update = function()
 
 /**
  * Starts or restarts the simulation, erasing all data from the currently running simulation and
- * using the generation settings to begin a new simulation.
+ * using the generation settings to begin a new simulation. If the physics runs in a worker, the
+ * worker is restarted with the same id, and so the very same run.
+ *
+ * @param {int} [id]    the id to restart with (by default, the generation seed's or the next one)
  */
-Emergence.prototype.restartSimulation = function()
+Emergence.prototype.restartSimulation = function(id)
 {   //set simulation runtime, id factors
     this.runtime = this.controls.generation.runtime || Infinity;//must be set after controls are instantiated
-    this.id = this.idRange * (Math.floor(this.id/this.idRange)+1);
+    this.id = id || this.idRange * (this.getSeed(this.controls.generation.seed) || (Math.floor(this.id/this.idRange)+1));
+    seedRandom(this.getSeed(this.id));//every random draw from here on is replayable from the id
 
     //check control settings for validity and update them
     this.controls.checkDimensions();
@@ -567,27 +804,93 @@ Emergence.prototype.restartSimulation = function()
     this.stats.reset();
     this.stats.clear = true;
     this.zones = new Zones(this.stats,this.controls,this.monads);
+    this.synchrony = new Synchrony(this);
+    this.store = this.controls.generation.packed ? new Store(this.MAX, this.zones.species.count) : null;
 
     //setup colors, wireframe, particles, and rendering
     if (this.colorChange) this.colorNeutral();//check for color-neutral settings
-    this.initializeCube(this.zones.size,new THREE.Vector3(),-1);//create world boundaries
     this.initializeParticles();//make all the particles
-    this.resetScene();
+    if (!this.headless) {
+        if (this.camera && this.zones.flat !== !!this.camera.isOrthographicCamera) this.initializeCamera();//the world became flat or stopped being flat
+        this.overlay = null;//the zones are new, so is their field
+        this.initializeCube(this.zones.extent,new THREE.Vector3(),-1);//create world boundaries
+        this.initializeObstacles();
+        this.initializeCloud();//make the particles renderable
+        this.resetScene();
+    }
+    if (this.relay) this.relay.restart(this.id);
+    this.accelerate();
     this.controls.step = true;//ensures that one tick will be processed to sync stats
 
     if (DEBUG) debug(["system","initialization"],["RESTART",this.monads]);
 }
 
+/**
+ * Has the GPU compute the simulation's ticks if the gpu generation control is on (see accelerator.js),
+ * or stops it if the control is off. The GPU needs the renderer, so only simulations that render
+ * on the main thread are accelerated; if the GPU can't compute, the CPU goes on alone.
+ */
+Emergence.prototype.accelerate = function()
+{
+    if (!this.controls.generation.gpu || !this.renderer || this.relay) {
+        if (this.accelerator) this.accelerator.dispose();
+        this.accelerator = null;
+        return;
+    }
+
+    try { this.accelerator = this.accelerator || new Accelerator(this, this.renderer); }
+    catch (error) {
+        debug("always", ["GPU unavailable, computing on the CPU instead", error.message]);
+        this.controls.generation.gpu = false;
+        return;
+    }
+
+    if (!this.accelerator.fits(this.zones)) { //the world can't be searched on the GPU
+        debug("always", "World too small, too finely zoned, not a cubic toroid, or obstructed for the GPU, computing on the CPU instead");
+        this.accelerator.dispose();
+        this.accelerator = null;
+    }
+}
+
+/**
+ * Attaches an observer to the simulation, which is called with the simulation as its only
+ * argument at the end of every processed tick (paused ticks are not reported). Observers
+ * should only read from the simulation; anything they change is not recorded by statistics.
+ *
+ * @param {function} observer   the function to call every tick
+ */
+Emergence.prototype.observe = function(observer)
+{
+    this.observers.push(observer);
+}
+
+/**
+ * Returns the seed part (the randomized first 8 digits) of a simulation id. Either a full 16-digit
+ * id (as displayed while running) or just its first 8 digits may be given.
+ *
+ * @param {int} id  a simulation id or the seed part of one
+ *
+ * @return {int} the seed the simulation with that id was run with
+ */
+Emergence.prototype.getSeed = function(id)
+{
+    return id >= this.idRange ? Math.floor(id / this.idRange) : Math.floor(id);
+}
+
 /**
  * Nullifies all quanta (only particles of mass >= 2 will remain). Never called internally--only
  * the user can select this option.
  */
 Emergence.prototype.clearQuanta = function()
 {
+    if (this.relay) return this.relay.command('clearQuanta');//the worker's quanta are the real ones
+
     var monads = this.monads;
     for (p = 0; p < this.MAX; p++)
-        if (monads[p].getMass() === 1)
+        if (monads[p].getMass() === 1) {
+            this.stats.ledger.destroyed++;
             monads[p].nullify();
+        }
 }
 
 /**
@@ -609,9 +912,13 @@ Emergence.prototype.recalcMonads = function()
         monads[p].updateColor();
     }
 
+    if (this.relay) this.relay.command('recalcMonads');//so the worker's monads agree from the next tick on
+
     //mark all particles for rendering update
-    cloud.colorsNeedUpdate = true;
-    cloud.verticesNeedUpdate = true;
+    if (cloud) {
+        cloud.colorsNeedUpdate = true;
+        cloud.verticesNeedUpdate = true;
+    }
 }
 
 /**
@@ -626,6 +933,8 @@ Emergence.prototype.resetScene = function()
     this.focus = this.focus.slice(0,4);
     this.wireframe = this.wireframe.slice(0,4);
     for (var w = 0; w < this.wireframe.length; w++) this.scene.add(this.wireframe[w]);
+    for (var o = 0; o < this.solids.length; o++) this.scene.add(this.solids[o]);
+    if (this.overlay) this.scene.add(this.overlay);
     this.scene.add(this.cloud);
 }
 
@@ -640,6 +949,8 @@ Emergence.prototype.recolorEnvironment = function()
         this.wireframe[w].material.color = new THREE.Color(this.controls.visual.wireframeColor);
         this.wireframe[w].colorsNeedUpdate = true;
     }
+    for (var o = 0; o < this.solids.length; o++)//and the obstacles, which share one material
+        this.solids[o].material.color.set(this.controls.visual.wireframeColor);
 }
 
 /**
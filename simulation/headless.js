@@ -0,0 +1,209 @@
+/**
+ * Emergence Simulation System
+ * @author Marceline Peters / https://github.com/marcinas
+ * see readme for additional credits
+ */
+
+
+
+/**************************************************************/
+/**************************************************************/
+/*******************        HEADLESS        *******************/
+/**************************************************************/
+/**************************************************************/
+
+// Node only: runs the simulation without a browser, WebGL, or the html document.
+//
+//      node simulation/headless.js [--ticks 3000] [--mode research] [--maximum 1024] [--seed 0] [--quiet]
+//
+// or, to run a batch of experiments (see runner.js) and print its summary table,
+//
+//      node simulation/headless.js --runs 100 [--grid '{"dynamic.bonding.mergeRatio":[0,0.5]}']
+//                                  [--out outcomes.json] [--logs] [...any of the above]
+//
+// or, from another Node script,
+//
+//      var headless = require('./simulation/headless.js');
+//      var simulation = headless.createSimulation({ mode: 'research', seed: 12345678 });
+//      headless.run(simulation, 3000);
+//      var runner = headless.createRunner({ runs: 100, grid: { "generation.mass.median": [512, 1024] } });
+//      runner.execute();
+
+var fs = require('fs');
+var path = require('path');
+var vm = require('vm');
+
+/** The scripts making up the simulation core, in the same order index.html loads them */
+var SCRIPTS = [
+    'js/three.js',
+    'simulation/basic.js',
+    'simulation/statistics.js',
+    'simulation/molecules.js',
+    'simulation/controls.js',
+    'simulation/obstacle.js',
+    'simulation/species.js',
+    'simulation/zones.js',
+    'simulation/store.js',
+    'simulation/monad.js',
+    'simulation/synchrony.js',
+    'simulation/emergence.js',
+    'simulation/runner.js'
+];
+
+/** Mode names accepted in place of their hash numbers (see controls.constant.modes) */
+var MODES = { default: 0, stress: 1, research: 2, clump: 3, flat: 4 };
+
+/**
+ * Creates and starts a headless simulation inside a fresh context with all of the simulation
+ * scripts loaded into it, so the globals the scripts share (emergence, DEBUG, RANDOM, etc.)
+ * never leak between simulations or into the calling program.
+ *
+ * @param {Object} [options]    see createSimulation
+ *
+ * @return {Object} the context, whose emergence global is the started simulation
+ */
+function createContext(options)
+{
+    options = options || {};
+    var mode = options.mode === undefined ? MODES.research : options.mode;
+    var silent = { log: function() {}, warn: function() {}, error: console.error };
+
+    var context = vm.createContext({
+        console: options.quiet ? silent : console,
+        performance: performance,
+        MOBILE: false,
+        DEBUG: false
+    });
+
+    //the version history is kept in the first (inline) script of index.html
+    var html = fs.readFileSync(path.join(__dirname, '..', 'index.html'), 'utf8');
+    vm.runInContext(/<script>([\s\S]*?)<\/script>/.exec(html)[1], context, { filename: 'index.html' });
+
+    for (var s = 0; s < SCRIPTS.length; s++)
+        vm.runInContext(fs.readFileSync(path.join(__dirname, '..', SCRIPTS[s]), 'utf8'), context, { filename: SCRIPTS[s] });
+
+    //emergence must be a global of the context, as the scripts refer to it directly (see debug())
+    vm.runInContext("var statistics = new Statistics(true);" +
+                    "var emergence = new Emergence(statistics, true);", context);
+
+    var simulation = context.emergence;
+    simulation.startup([options.maximum || 0, 0, MODES[mode] === undefined ? +mode : MODES[mode]]);
+
+    if (options.seed) { //the startup run was randomly seeded, so start over with the chosen one
+        simulation.controls.generation.seed = options.seed;
+        simulation.restartSimulation();
+    }
+    return context;
+}
+
+/**
+ * Creates and starts a headless simulation. Every simulation is given its own context (see
+ * createContext). The returned emergence object has run no ticks yet; it is stepped with run()
+ * (or by hand, calling update() and then stats.frame() once per tick as the browser animation
+ * loop does).
+ *
+ * @param {Object} [options]                    all optional:
+ * @param {string|int} [options.mode]           research (default), stress, clump, flat, or default
+ * @param {int} [options.maximum]               the maximum particles (hash[0]; 0 uses the mode default)
+ * @param {int} [options.seed]                  a simulation id or its first 8 digits to replay
+ * @param {boolean} [options.quiet]             whether to silence the simulation's own console output
+ *
+ * @return {Emergence} the started headless simulation
+ */
+function createSimulation(options)
+{
+    return createContext(options).emergence;
+}
+
+/**
+ * Creates a headless simulation (see createSimulation) along with a batch runner for it. The
+ * runner is not yet started; execute() runs the whole batch. If the simulation has no runtime,
+ * each run lasts for the given ticks (3000 by default, as in research mode).
+ *
+ * @param {Object} options                      the options of createSimulation, and:
+ * @param {int} options.runs                    how many times to run each configuration
+ * @param {Object} [options.grid]               control paths mapped to the values to try
+ * @param {boolean} [options.logs]              whether outcomes should keep the statistics logs
+ * @param {int} [options.ticks]                 how many ticks each run lasts
+ *
+ * @return {Runner} the runner, whose simulation is the headless simulation
+ */
+function createRunner(options)
+{
+    var context = createContext(options);
+    var generation = context.emergence.controls.generation;
+
+    generation.runtime = options.ticks || generation.runtime || 3000;
+    return new context.Runner(context.emergence, options.runs, options.grid, options.logs);
+}
+
+/**
+ * Processes the given number of ticks of a headless simulation, exactly as the browser animation
+ * loop would process them (minus rendering). Note that, like the browser, the first two ticks
+ * of every run only gather statistics.
+ *
+ * @param {Emergence} simulation    the simulation to run
+ * @param {int} ticks               how many ticks to run
+ *
+ * @return {Emergence} the simulation
+ */
+function run(simulation, ticks)
+{
+    for (var t = 0; t < ticks; t++) {
+        simulation.update();
+        simulation.stats.frame();
+    }
+    return simulation;
+}
+
+/**
+ * Reads --name value pairs (and --flag booleans) from the command line arguments.
+ *
+ * @param {string[]} argv   the arguments following the script name
+ *
+ * @return {Object} the options by name
+ */
+function parseArguments(argv)
+{
+    var options = {};
+    for (var a = 0; a < argv.length; a++) {
+        var name = argv[a].replace(/^--/, '');
+        if (a + 1 < argv.length && argv[a+1].indexOf('--') !== 0)
+            options[name] = isNaN(argv[a+1]) ? argv[++a] : +argv[++a];
+        else options[name] = true;
+    }
+    return options;
+}
+
+module.exports = {
+    SCRIPTS: SCRIPTS,
+    MODES: MODES,
+    createContext: createContext,
+    createSimulation: createSimulation,
+    createRunner: createRunner,
+    run: run,
+    parseArguments: parseArguments
+};
+
+if (require.main === module) { //command line
+    var options = parseArguments(process.argv.slice(2));
+
+    if (options.runs) { //run a batch and print its summary table
+        if (options.grid) options.grid = JSON.parse(options.grid);
+        var runner = createRunner(options).execute();
+
+        console.log(runner.table());
+        if (options.out) fs.writeFileSync(options.out, JSON.stringify({ paths: runner.paths,
+                                                                         configurations: runner.configurations,
+                                                                         outcomes: runner.outcomes }));
+    } else { //run one simulation and print its research summary
+        var simulation = createSimulation(options);
+        var ticks = options.ticks || (simulation.runtime < Infinity ? simulation.runtime : 3000);
+        var monads = simulation.monads;
+
+        run(simulation, ticks);
+        console.log("Simulation " + simulation.id + "    Ticks: " + simulation.stats.tick);
+        console.log(monads[0].toString());
+        console.log(monads[1].toString(monads[0]));
+    }
+}
@@ -0,0 +1,400 @@
+/**
+ * Emergence Simulation System
+ * @author Marceline Peters / https://github.com/marcinas
+ * see readme for additional credits
+ */
+
+
+
+/**************************************************************/
+/**************************************************************/
+/*******************       MOLECULES        *******************/
+/**************************************************************/
+/**************************************************************/
+
+/**
+ * The bond graph of the simulation: which monads are bonded to which, and the molecules (connected
+ * structures of bonded monads) they form. The graph is kept up to date as monads bond, unbond, and
+ * are nullified (which is how merged monads leave their molecules), so it is never rebuilt.
+ *
+ * The graph keeps its own bonds rather than reading Monad.bonds, as a monad only drops the index of
+ * a nullified partner once it next checks that bond (see Monad.checkBond), by which time the slot
+ * may hold another particle entirely.
+ *
+ * Each molecule is kept as { id, members, bonds, born }: its id (never reused within a run), the
+ * indexes of its monads, how many bonds hold it together, and the tick it formed. When two
+ * molecules are bonded together, the larger keeps its id and age; when a molecule falls apart, its
+ * largest piece does, and the rest are new molecules. Monads in no molecule are unbonded.
+ *
+ * Every bond is also recorded for the whole run as { a, b, formed, broken, cause }: the indexes of
+ * its monads, the tick it formed, and, once it breaks, the tick it broke (-1 until then) and why
+ * (see Molecules.CAUSES). summarize() reduces the records to bond lifetimes and break rates.
+ *
+ * @param {Statistics} stats    the statistics the graph belongs to (for the tick)
+ */
+function Molecules(stats)
+{
+    /** Statistics memory reference */
+    this.stats = stats;
+    /** The indexes of the monads each monad is bonded to, by monad index */
+    this.links = {};
+    /** The id of the molecule each monad belongs to, by monad index (absent if unbonded) */
+    this.membership = {};
+    /** Every molecule, by id */
+    this.molecules = {};
+    /** How many molecules there are */
+    this.count = 0;
+    /** The id the next new molecule gets */
+    this.next = 0;
+    /** The record of every bond made this run, in the order they formed */
+    this.history = [];
+    /** The records of the bonds still holding, by pair (see key()) */
+    this.holding = {};
+    /** The summary of the worker's bond graph as last mirrored, which summarize() returns while set;
+        null unless this graph belongs to a mirror, whose own records stay empty (see Relay.mirror) */
+    this.mirrored = null;
+}
+
+/** Why bonds break: the monads moved too far apart (allowBreak), got too close and collapsed (mergeRatio), or one was nullified or displaced */
+Molecules.CAUSES = ['distance', 'collapse', 'nullified', 'displaced'];
+/** How many bars the bond lifetime histogram has (see summarize()) */
+Molecules.BINS = 16;
+
+/**
+ * Records a bond between two monads, joining their molecules (or forming one) if they were apart.
+ *
+ * @param {Monad} monad     one of the monads
+ * @param {Monad} other     the other
+ */
+Molecules.prototype.bond = function(monad, other)
+{   //memory references
+    var a = monad.index;
+    var b = other.index;
+    var links = this.links;
+    var membership = this.membership;
+
+    //local variables
+    var molecule = null;
+    var joined = null;
+    var swap = null;
+    var record = null;
+
+    if (a === b || (links[a] && links[a].indexOf(b) > -1)) return;//already bonded
+    (links[a] = links[a] || []).push(b);
+    (links[b] = links[b] || []).push(a);
+    record = { a: Math.min(a, b), b: Math.max(a, b), formed: this.stats.tick, broken: -1, cause: null };
+    this.history.push(record);
+    this.holding[this.key(a, b)] = record;
+
+    if (membership[a] === undefined && membership[b] === undefined)
+        molecule = this.create([a, b]);
+    else if (membership[b] === undefined) molecule = this.admit(this.molecules[membership[a]], b);
+    else if (membership[a] === undefined) molecule = this.admit(this.molecules[membership[b]], a);
+    else if (membership[a] === membership[b]) molecule = this.molecules[membership[a]];//closes a ring
+    else { //two molecules become one, named after the larger
+        molecule = this.molecules[membership[a]];
+        joined = this.molecules[membership[b]];
+        if (joined.members.length > molecule.members.length) { swap = molecule; molecule = joined; joined = swap; }
+        for (var m = 0; m < joined.members.length; m++)
+            this.admit(molecule, joined.members[m]);
+        molecule.bonds += joined.bonds;
+        this.destroy(joined);
+    }
+    molecule.bonds++;
+}
+
+/**
+ * Removes the bond between two monads (if they have one), splitting their molecule if nothing else
+ * holds it together, and records why it broke.
+ *
+ * @param {Monad|int} monad     one of the monads (or its index)
+ * @param {Monad|int} other     the other
+ * @param {string} [cause]      why the bond broke (see Molecules.CAUSES; 'distance' by default)
+ */
+Molecules.prototype.unbond = function(monad, other, cause)
+{   //memory references
+    var a = monad.index === undefined ? monad : monad.index;
+    var b = other.index === undefined ? other : other.index;
+    var links = this.links;
+
+    //local variables
+    var molecule = null;
+    var piece = null;
+    var record = null;
+
+    if (!links[a] || links[a].indexOf(b) === -1) return;//not bonded (or already unbonded on nullification)
+    record = this.holding[this.key(a, b)];
+    record.broken = this.stats.tick;
+    record.cause = cause || 'distance';
+    delete this.holding[this.key(a, b)];
+    links[a].splice(links[a].indexOf(b), 1);
+    links[b].splice(links[b].indexOf(a), 1);
+    if (!links[a].length) delete links[a];
+    if (!links[b].length) delete links[b];
+
+    molecule = this.molecules[this.membership[a]];
+    molecule.bonds--;
+    piece = this.reach(b);
+    if (piece.indexOf(a) > -1) return;//still held together some other way
+
+    //the smaller piece breaks off as its own molecule (or its own monad)
+    if (piece.length * 2 > molecule.members.length) piece = this.reach(a);
+    this.release(molecule, piece);
+    if (piece.length > 1) this.create(piece).bonds = this.tally(piece);
+    molecule.bonds -= this.tally(piece);
+    if (molecule.members.length < 2) this.destroy(molecule);
+}
+
+/**
+ * Removes every bond of a monad that is being nullified, leaving it in no molecule.
+ *
+ * @param {Monad} monad         the monad being nullified
+ * @param {string} [cause]      'displaced' if it was displaced to make room for an emission
+ *                              ('nullified' by default)
+ */
+Molecules.prototype.remove = function(monad, cause)
+{   //local variables
+    var links = this.links[monad.index];
+
+    while (links && links.length)
+        this.unbond(monad.index, links[links.length - 1], cause || 'nullified');
+}
+
+/**
+ * Reduces the bond records of the run so far to { formed, holding, broken, lifetime, rate, causes,
+ * histogram, width }: how many bonds formed, still hold, and broke, the mean lifetime (in ticks) of
+ * the broken bonds, how many bonds broke per tick, how many broke of each cause, and a histogram
+ * of the broken bonds' lifetimes whose every bar (Molecules.BINS of them) spans width ticks. A
+ * mirror's graph returns the summary last mirrored from the worker instead (see mirrored).
+ *
+ * @return {Object} the summary
+ */
+Molecules.prototype.summarize = function()
+{   //memory references
+    var history = this.history;
+    var bins = Molecules.BINS;
+    var causes = Molecules.CAUSES;
+
+    //local variables
+    var summary = { formed: history.length, holding: 0, broken: 0, lifetime: 0, rate: 0, causes: {}, histogram: new Array(bins).fill(0), width: 1 };
+    var longest = 0, total = 0;
+    var h = 0;
+
+    if (this.mirrored) return this.mirrored;
+
+    for (h = 0; h < causes.length; h++)
+        summary.causes[causes[h]] = 0;
+    for (h = 0; h < history.length; h++)
+        if (history[h].broken >= 0) longest = Math.max(longest, history[h].broken - history[h].formed);
+
+    summary.width = Math.max(1, Math.ceil((longest + 1) / bins));
+    for (h = 0; h < history.length; h++) {
+        if (history[h].broken < 0) continue;//still holding
+        summary.broken++;
+        summary.causes[history[h].cause]++;
+        summary.histogram[Math.floor((history[h].broken - history[h].formed) / summary.width)]++;
+        total += history[h].broken - history[h].formed;
+    }
+    summary.holding = summary.formed - summary.broken;
+    summary.lifetime = summary.broken ? total / summary.broken : 0;
+    summary.rate = this.stats.tick ? summary.broken / this.stats.tick : 0;
+    return summary;
+}
+
+/**
+ * Returns every molecule described by what it is made of right now: { id, members, mass, charge,
+ * bonds, lifetime, shape }, where charge is the molecule's attractons less its repulsons over its
+ * mass in [-1,1], lifetime is how many ticks it has held together, and shape is one of
+ *
+ *      pair            two monads
+ *      chain           a line of monads, each bonded to the next
+ *      ring            a closed line of monads
+ *      tetrahedron     four monads all bonded to one another
+ *      tree            branching, with no bond closing a loop
+ *      cluster         anything else (packed monads bonded in loops)
+ *
+ * The molecules are sorted largest (by members) first, ties going to the oldest.
+ *
+ * @param {Monad[]} monads      the monads of the simulation
+ *
+ * @return {Object[]} the described molecules
+ */
+Molecules.prototype.describe = function(monads)
+{   //memory references
+    var links = this.links;
+    var tick = this.stats.tick;
+
+    //local variables
+    var described = [];
+    var molecule = null;
+    var quanta = null;
+    var members = null;
+    var attractons = 0, repulsons = 0, mass = 0, degree = 0, most = 0;
+
+    for (var id in this.molecules) {
+        molecule = this.molecules[id];
+        members = molecule.members;
+        attractons = repulsons = mass = most = 0;
+        for (var m = 0; m < members.length; m++) {
+            quanta = monads[members[m]].quanta;
+            attractons += quanta.attractons;
+            repulsons += quanta.repulsons;
+            mass += monads[members[m]].getMass();
+            degree = links[members[m]].length;
+            if (degree > most) most = degree;
+        }
+        described.push({
+            id: molecule.id,
+            members: members.slice(),
+            mass: mass,
+            charge: (attractons - repulsons) / mass,
+            bonds: molecule.bonds,
+            lifetime: tick - molecule.born,
+            shape: this.shape(members.length, molecule.bonds, most)
+        });
+    }
+    return described.sort(function(m1, m2) { return (m2.members.length - m1.members.length) || (m2.lifetime - m1.lifetime) || (m1.id - m2.id); });
+}
+
+/**
+ * Names the shape of a molecule from how many monads and bonds it has and the most bonds any one
+ * of its monads has (see describe()).
+ *
+ * @param {int} members     how many monads the molecule has
+ * @param {int} bonds       how many bonds it has
+ * @param {int} most        the most bonds of any one of its monads
+ *
+ * @return {string} the shape
+ */
+Molecules.prototype.shape = function(members, bonds, most)
+{
+    if (members === 2) return 'pair';
+    if (bonds === members - 1) return most <= 2 ? 'chain' : 'tree';
+    if (bonds === members && most === 2) return 'ring';
+    if (members === 4 && bonds === 6) return 'tetrahedron';
+    return 'cluster';
+}
+
+
+
+/**************************************************************/
+/**************************************************************/
+/*******************      BOOKKEEPING       *******************/
+/**************************************************************/
+/**************************************************************/
+
+/**
+ * Creates a molecule of the given monads, formed this tick.
+ *
+ * @param {int[]} members   the indexes of the monads
+ *
+ * @return {Object} the new molecule (with no bonds counted yet)
+ */
+Molecules.prototype.create = function(members)
+{
+    var molecule = { id: this.next++, members: [], bonds: 0, born: this.stats.tick };
+
+    this.molecules[molecule.id] = molecule;
+    this.count++;
+    for (var m = 0; m < members.length; m++)
+        this.admit(molecule, members[m]);
+    return molecule;
+}
+
+/**
+ * Deletes a molecule, leaving any monads still in it unbonded.
+ *
+ * @param {Object} molecule     the molecule
+ */
+Molecules.prototype.destroy = function(molecule)
+{
+    for (var m = 0; m < molecule.members.length; m++)
+        if (this.membership[molecule.members[m]] === molecule.id) delete this.membership[molecule.members[m]];
+    delete this.molecules[molecule.id];
+    this.count--;
+}
+
+/**
+ * Adds a monad to a molecule.
+ *
+ * @param {Object} molecule     the molecule
+ * @param {int} index           the index of the monad
+ *
+ * @return {Object} the molecule
+ */
+Molecules.prototype.admit = function(molecule, index)
+{
+    molecule.members.push(index);
+    this.membership[index] = molecule.id;
+    return molecule;
+}
+
+/**
+ * Takes monads out of a molecule, leaving them unbonded.
+ *
+ * @param {Object} molecule     the molecule
+ * @param {int[]} piece         the indexes of the monads to take out
+ */
+Molecules.prototype.release = function(molecule, piece)
+{
+    molecule.members = molecule.members.filter(function(index) { return piece.indexOf(index) === -1; });
+    for (var p = 0; p < piece.length; p++)
+        delete this.membership[piece[p]];
+}
+
+/**
+ * Returns the indexes of every monad a monad is bonded to, directly or through others (itself
+ * included), searching the graph breadth first.
+ *
+ * @param {int} index   the index of the monad
+ *
+ * @return {int[]} the indexes, in the order they were reached
+ */
+Molecules.prototype.reach = function(index)
+{   //memory references
+    var links = this.links;
+
+    //local variables
+    var reached = [index];
+    var seen = {};
+    var next = null;
+
+    seen[index] = true;
+    for (var r = 0; r < reached.length; r++) {
+        next = links[reached[r]] || [];
+        for (var n = 0; n < next.length; n++)
+            if (!seen[next[n]]) {
+                seen[next[n]] = true;
+                reached.push(next[n]);
+            }
+    }
+    return reached;
+}
+
+/**
+ * Returns the key of the bond between two monads, the same whichever is given first.
+ *
+ * @param {int} a   the index of one of the monads
+ * @param {int} b   the index of the other
+ *
+ * @return {string} the key
+ */
+Molecules.prototype.key = function(a, b)
+{
+    return a < b ? a + ":" + b : b + ":" + a;
+}
+
+/**
+ * Counts the bonds between the given monads.
+ *
+ * @param {int[]} piece     the indexes of the monads
+ *
+ * @return {int} how many bonds they have among themselves
+ */
+Molecules.prototype.tally = function(piece)
+{
+    var ends = 0;
+    for (var p = 0; p < piece.length; p++)
+        ends += (this.links[piece[p]] || []).length;
+    return ends / 2;
+}
@@ -22,10 +22,13 @@
  *          parentIndex     the monad array index of this particle's emission parent, which will
  *                          affect particles physically if reabsorption is enabled (true by default)
  *          quanta: att,rep the number of attractons/repulsons, the basis of interaction rules
+ *          quanta: oth     the number of quanta of every further species, if any (see Species)
  *          quanta: rad     the radius and thus physical boundary of the particle
  *          quanta: e,c<0   the number of unemitted quanta that must emit and emitted quanta wait time
  *          quanta: cha,imp impact effect information including velocity and a+/r- composition
+ *          quanta: atv,rpv impact velocity of the attractons and of the repulsons alone (blue, red)
  *          position        contains a 3d vector of the xyz location of the particle's center
+ *                          (owned by the monad; a renderer may share it, see Emergence.initializeCloud)
  *          velocity        contains a 3d vector of the xyz direction and speed the particle is going
  *
  *      Visual traits
@@ -47,15 +50,20 @@
  *          zone            contains positional information for reducing collision processing to
  *                          exclude particles well beyond the radius of the colliding particle
  *
- * @param {Geometry} geometry       the three.geometry object that will link vertices and colors
+ * If the simulation packs its monads (see controls.generation.packed), the composition, radius,
+ * position, velocity, and impact are views of the store's typed arrays instead (see store.js);
+ * they are used exactly as the unpacked objects.
+ *
+ * @param {int} index              the index of the monads array this monad will be contained in
  * @param {Controls} controls       the Controls object the simulation uses
  * @param {Statistics} statistics   the Statistics object the simulation uses
  * @param {Zones} zones             the Zones object the simulation uses
  * @param {int[]} maximum           index 0: repulsons remaining
  *                                  index 1: attractons remaining
  *                                  index 2: mass remaining
+ * @param {Store} [store]           the store to keep the monad's data in, if packed
  */
-function Monad(geometry,controls,statistics,zones,maximum)
+function Monad(index,controls,statistics,zones,maximum,store)
 {
     /** Controls memory reference */
     this.controls = controls;
@@ -64,7 +72,7 @@ function Monad(geometry,controls,statistics,zones,maximum)
     /** Zones memory reference */
     this.zones = zones;
     /** Index of array monad will soon be contained in */
-    this.index = geometry.vertices.length;
+    this.index = index;
     /** Active bonds with other monads */
     this.bonds = [];
     /** The monad that originated this particle, -1 if present since genesis */
@@ -74,15 +82,17 @@ function Monad(geometry,controls,statistics,zones,maximum)
     /** Counting one-tick absorptions */
     this.absorptions = 0;
     /** Spare vector, used for communicating positional and velocity checks in and between functions */
-    this.check = new THREE.Vector3();
+    this.check = store ? new StoredVector(store.check, index) : new THREE.Vector3();
     /** Out of bounds vector, used for storing out of bounds coordinates */
-    this.oob = new THREE.Vector3();
+    this.oob = store ? new StoredVector(store.oob, index) : new THREE.Vector3();
     /** Quanta inner object storing attractons, repulsons, radius, impact information, etc. */
-    this.quanta = {
+    this.quanta = store ? new StoredQuanta(store, index) : {
         /** Number of attractons currently in monad */
         attractons: 0,
         /** Number of repulsons currently in monad */
         repulsons: 0,
+        /** Numbers of quanta of every species beyond attractons and repulsons currently in monad (see Species) */
+        others: zones.species.blank(),
         /** Radius of the monad at last calculation */
         radius: 0,
         /** Countdown until monad recolor; if negative, also prevents monad from colliding until >=0 */
@@ -94,15 +104,20 @@ function Monad(geometry,controls,statistics,zones,maximum)
         /** The charge in range [-1,1] of the last impact emission */
         charge: 0,
         /** Impact vector in x-y-z of where the monad attempts to emit from */
-        impact: new THREE.Vector3() };
-    /** Position vector; note that position is just pointers to the actual rendering geometry coordinates */
-    this.position = geometry.vertices[geometry.vertices.push(new THREE.Vector3(this.controls.NONRENDER_DISTANCE, this.controls.NONRENDER_DISTANCE, this.controls.NONRENDER_DISTANCE))-1];//x,y,z
+        impact: new THREE.Vector3(),
+        /** Impact vector of the attractons alone (the blue vector; see emission.dualImpact) */
+        attractive: new THREE.Vector3(),
+        /** Impact vector of the repulsons alone (the red vector; see emission.dualImpact) */
+        repulsive: new THREE.Vector3() };
+    /** Position vector; when rendering, the cloud geometry holds this same vector as its vertex */
+    this.position = store ? new StoredVector(store.position, index) : new THREE.Vector3();
+    this.position.set(this.controls.NONRENDER_DISTANCE, this.controls.NONRENDER_DISTANCE, this.controls.NONRENDER_DISTANCE);//x,y,z
     /** Velocity vector containing information on how far the particle is to move each tick */
-    this.velocity = new THREE.Vector3();
+    this.velocity = store ? new StoredVector(store.velocity, index) : new THREE.Vector3();
     /** Zone information simply containing the particle's zone coordinates and index */
     this.zone = { x: -1, y: -1, z: -1, /** Index of particle within zone x-y-z */ i: -1 };
-    /** Color vector; note that color is just pointers to the actual rendering geometry colors */
-    this.color = geometry.colors[geometry.colors.push(new THREE.Color())-1];//r,g,b
+    /** Color vector; when rendering, the cloud geometry holds this same color as its vertex color */
+    this.color = new THREE.Color();//r,g,b
 
     if (maximum[2]) {//this particle has remaining mass to use for initialization
         this.initializeMass(maximum);
@@ -112,10 +127,14 @@ function Monad(geometry,controls,statistics,zones,maximum)
     }
 }
 
+/** How a monad's quanta can be shared between its daughters when it splits (see fission()) */
+Monad.SPLITS = ['charge', 'random'];
+
 /**
  * Called for every particle in the simulation at restart, uses generation control settings to
  * construct every monad that requires mass. Once this function is done, a monad is guaranteed
- * to have some number of attractons and repulsons and a correct radius.
+ * to have some number of attractons and repulsons (and of any further species, in the share of their
+ * abundance) and a correct radius.
  *
  * @param {int[]} max               index 0: repulsons remaining
  *                                  index 1: attractons remaining
@@ -123,14 +142,16 @@ function Monad(geometry,controls,statistics,zones,maximum)
  */
 Monad.prototype.initializeMass = function(max)
 {   //memory references
-    var random = Math.random;
+    var random = RANDOM.physics.next;
     var mass = this.controls.generation.mass;
     var monad = this.controls.generation.monad;
+    var species = this.zones.species;
 
     //local variables
     var big = random() < mass.balance; //chance a particle with have positive standard deviations
     var neutrality = 0.5 * monad.neutrality + 0.5; //change [-1,1] neutrality to a [0,1] range
     var np = [0,0], bias = 0, count = 0, dif = [0,0];//bias = 0 means negative bias
+    var kind = -1;
     var polarity = monad.polarityMin + (random() * Math.max(0,monad.polarityMax - monad.polarityMin));//random polarity between min and max
 
     //determine total mass
@@ -154,6 +175,10 @@ Monad.prototype.initializeMass = function(max)
 
     //determine +/- of mass
     while (count--) { //notice that every single quanta within every monad has their polarity determined individually
+        if (species.count > 2 && (kind = species.draw(random())) > 1) { //a quanta of a further species, which has no polarity
+            this.quanta.others[kind-2]++;
+            continue;
+        }
         if (random() < neutrality) //final neutrality customized for this particle
             np[bias]++;
         else np[bias?0:1]++;//0 for neg, 1 for pos
@@ -176,24 +201,31 @@ Monad.prototype.initializeMass = function(max)
 
 /**
  * Initializes a monad's starting position in 3d environment coordinates. Gives each particle
- * randomized coordinates limited by spread until appropriate conditions are found.
+ * randomized coordinates limited by spread (and the world's radius along each axis) until
+ * appropriate conditions are found (within the sphere as well if the world is bounded by one).
+ * A monad placed inside an obstacle is pushed out to its surface.
  */
 Monad.prototype.initializePosition = function()
 {   //memory references
+    var min = Math.min;
     var pos = this.position;
     var spread = this.controls.generation.world.spread;
     var range = spread;
+    var random = RANDOM.physics.next;
     var center = new THREE.Vector3();
+    var extent = this.zones.extent;
+    var sphere = this.zones.boundary === 'sphere';
 
     if (!spread) spread = this.zones.size;
 
     do {
-        pos.x = Math.random() * spread * (randBool() ? 1 : -1);
-        pos.y = Math.random() * spread * (randBool() ? 1 : -1);
-        pos.z = Math.random() * spread * (randBool() ? 1 : -1);
-    } while (range && pos.distanceTo(center) > range);
+        pos.x = random() * min(spread, extent.x) * (randBool() ? 1 : -1);
+        pos.y = random() * min(spread, extent.y) * (randBool() ? 1 : -1);
+        pos.z = this.zones.flat ? 0 : random() * min(spread, extent.z) * (randBool() ? 1 : -1);
+    } while ((range && pos.distanceTo(center) > range) ||
+             (sphere && Math.pow(pos.x / extent.x, 2) + Math.pow(pos.y / extent.y, 2) + Math.pow(pos.z / extent.z, 2) >= 1));
 
-    this.zones.updateZone(this);
+    this.checkBounds(true);//pushed out of any obstacle it was placed in, and zoned
 }
 
 /**
@@ -205,6 +237,7 @@ Monad.prototype.initializePosition = function()
  */
 Monad.prototype.initializeVelocity = function()
 {   //memory references
+    var random = RANDOM.physics.next;
     var controls = this.controls;
     var monad = controls.generation.monad;
     var q = this.quanta.impact;
@@ -218,14 +251,16 @@ Monad.prototype.initializeVelocity = function()
         q.x = v.x;//apply checked randomized velocity to impact velocity memory
         q.y = v.y;
         q.z = v.z;
-        this.quanta.charge = (Math.random()*(w-1) * (randBool() ? 1 : -1) + (randBool() ? 1 : -1)) / w;//if w val > 1, then initial charge will be in [-1,1] range; otherwise it's just +/-1
+        this.quanta.attractive.copy(q);//as have both kinds of quanta
+        this.quanta.repulsive.copy(q);
+        this.quanta.charge = (random()*(w-1) * (randBool() ? 1 : -1) + (randBool() ? 1 : -1)) / w;//if w val > 1, then initial charge will be in [-1,1] range; otherwise it's just +/-1
     }
 
     this.randomizeVelocity(monad.velocity);//re-randomize velocity so it's different than impact
     this.checkVelocity(monad.velocity,false);//check velocity
-    v.x *= 1 + Math.random() * v.x * monad.randomizeVelocity;//randomize velocity
-    v.y *= 1 + Math.random() * v.y * monad.randomizeVelocity;
-    v.z *= 1 + Math.random() * v.z * monad.randomizeVelocity;
+    v.x *= 1 + random() * v.x * monad.randomizeVelocity;//randomize velocity
+    v.y *= 1 + random() * v.y * monad.randomizeVelocity;
+    v.z *= 1 + random() * v.z * monad.randomizeVelocity;
     this.checkVelocity(-1,false);//check after randomization again.
 }
 
@@ -245,6 +280,10 @@ Monad.prototype.initializeVelocity = function()
  * one accordingly. In addition, for multiple collisions in the same tick, all collisions are
  * averaged out even above the 'memory' limit to ensure no information is disregarded.
  *
+ * The impact vector of the quanta's own kind (attractive or repulsive) is weighted in the same way,
+ * so that both impact models stay current whichever is in use (see emission.dualImpact). Quanta of
+ * further species are neutral, and only affect the impact vector (and dilute the impact charge).
+ *
  * @param {Monad} quanta    the quanta whose impact to absorb
  */
 Monad.prototype.absorb = function(quanta)
@@ -262,6 +301,14 @@ Monad.prototype.absorb = function(quanta)
     v.y = ((v.y * qw) - q.y) / w;
     v.z = ((v.z * qw) - q.z) / w;
 
+    //affects the impact velocity of the quanta's kind, if it is charged
+    if (u.attractons || u.repulsons) {
+        v = u.attractons ? this.quanta.attractive : this.quanta.repulsive;
+        v.x = ((v.x * qw) - q.x) / w;
+        v.y = ((v.y * qw) - q.y) / w;
+        v.z = ((v.z * qw) - q.z) / w;
+    }
+
     //affect impact charge
     this.quanta.charge = ((this.quanta.charge * qw) + (u.attractons ? 1 : (u.repulsons ? -1 : 0))) / w;
 }
@@ -280,12 +327,13 @@ Monad.prototype.bond = function(other)
 {   //add bonds
     this.bonds.push(other.index);
     other.bonds.push(this.index);
+    this.stats.molecules.bond(this, other);
     if (this.controls.dynamic.bonding.bounce) this.bounce(other, true);
     var col = 0.0;
 
     //coloring
     if (this.controls.visual.display.bonding) {
-        col = 0.75+Math.random()*0.25;
+        col = 0.75+RANDOM.visual.next()*0.25;
         this.setColor(col,col,col);
         other.setColor(col,col,col);
         this.quanta.countdown = this.quanta.mountdown = 64;
@@ -293,6 +341,9 @@ Monad.prototype.bond = function(other)
     }
 
     this.stats.instant.bonds++;
+    this.stats.events.bonds++;
+    if (this.stats.events.bond < 0 && (this.index === 0 || other.index === 0) && (this.index === 1 || other.index === 1))
+        this.stats.events.bond = this.stats.tick;//first bond between monads 0 and 1
 
     return false; //no error
 }
@@ -305,19 +356,22 @@ Monad.prototype.bond = function(other)
  *
  * @param {Monad} other the monad to unbond with
  * @param {boolean} [collapse]    whether to collapse the two monads into one
+ * @param {string} [cause]        why the bond broke, for the bond history (see Molecules.CAUSES;
+ *                                'collapse' if collapsing and 'distance' otherwise by default)
  *
  * @return {boolean} true if monad compromised or merged into, false otherwise
  */
-Monad.prototype.unbond = function(other,collapse)
+Monad.prototype.unbond = function(other,collapse,cause)
 {   //remove bonds
     this.bonds.splice(this.bonds.indexOf(other.index),1);
     other.bonds.splice(other.bonds.indexOf(this.index),1);
+    this.stats.molecules.unbond(this, other, cause || (collapse ? 'collapse' : 'distance'));
 
     if (collapse) return this.merge(other);//collapse if indicated
 
     //coloring
     else if (this.controls.visual.display.bonding && other.quanta.radius) {
-        col = 0.35+Math.random()*0.1;
+        col = 0.35+RANDOM.visual.next()*0.1;
         this.setColor(col,col*0.5,0);
         other.setColor(col,col*0.5,0);
         this.quanta.countdown = this.quanta.mountdown = 64;
@@ -398,6 +452,7 @@ Monad.prototype.merge = function(other)
     monad1.midpoint(monad2, false);
     q1.attractons += q2.attractons;
     q1.repulsons += q2.repulsons;
+    for (var s = 0; s < q1.others.length; s++) q1.others[s] += q2.others[s];
     monad1.updateRadius();
 
     if (m2 === 1) monad1.absorb(monad2); //absorb quanta
@@ -406,7 +461,7 @@ Monad.prototype.merge = function(other)
     //coloring
     if (this.controls.visual.display.collision) {
         q1.countdown = Math.max(q1.countdown, 16);
-        col = 0.75+Math.random()*0.25;
+        col = 0.75+RANDOM.visual.next()*0.25;
         if (!q1.mountdown || m2 > 1) {
             if (m2 === 1) {
                 monad1.setColor(col,col,0.0);
@@ -425,6 +480,26 @@ Monad.prototype.merge = function(other)
     return self; //return true if calling monad nullified
 }
 
+/**
+ * Annihilates two monads: both vanish from the world at once, their mass recorded as destroyed in
+ * the ledger. Monads only annihilate by a collision rule (see controls.dynamic.rules).
+ *
+ * @param {Monad} other the monad to annihilate with
+ *
+ * @return {boolean} true, as the calling monad is always nullified
+ */
+Monad.prototype.annihilate = function(other)
+{
+    this.stats.ledger.destroyed += this.getMass() + other.getMass();
+    this.stats.instant.collisions++;
+    if (DEBUG) debug(["system","collision"],['annihilation',this,other]);
+
+    other.nullify();
+    this.nullify();
+
+    return true; //calling monad nullified
+}
+
 /**
  * Performs weight-based 'bouncing' where the calling monad has their velocity adjusted as if
  * they cleanly collided with the parameter particle. If the second argument is true, the
@@ -438,11 +513,19 @@ Monad.prototype.merge = function(other)
  * bounce effectively only controls quanta-monad interactions during emission or collision, with
  * bounce-merging of monad-monads only occurring during mergeRatio collapse.
  *
+ * If bounces are elastic (see dynamic.bouncing), none of the above applies; see bounceElastic.
+ *
  * @param {Monad} other the monad to bounce off of
  * @param {boolean} [both] whether to bounce both particles; if false, only the first bounces
  */
 Monad.prototype.bounce = function(other, both)
-{   //memory references
+{
+    if (this.controls.dynamic.bouncing.elastic) {
+        this.bounceElastic(other, both);
+        return;
+    }
+
+    //memory references
     var min = Math.min;
     var abs = Math.abs;
     var dynamic = this.controls.dynamic;
@@ -462,13 +545,14 @@ Monad.prototype.bounce = function(other, both)
 
     /** Notice that if the two monads aren't in an unescaped parent-child relationship, we know
      * they are colliding, not performing emission. This scale then acts as an indicator of
-     * NEGATIVITY; that is, a negative composition indicates that the opposite's vector should be
-     * added, since for collision, adding a colliding particle's velocity will in effect move away
-     * from it. If the incoming monad is more positive than negative, the velocity vector must be
-     * subtracted, since for collision, subtracting a colliding particle's velocity will in effect
-     * move towards it. */
-    var add1 = ((other.quanta.repulsons / t2) - 0.5) * 2;//[-1,1] range of how negative the other is
-    var add2 = ((this.quanta.repulsons / t1) - 0.5) * 2;//[-1,1] range of how negative the other is
+     * NEGATIVITY; that is, a composition that repels the bouncing monad (with the default species,
+     * a negative one) indicates that the opposite's vector should be added, since for collision,
+     * adding a colliding particle's velocity will in effect move away from it. If the incoming
+     * monad draws the bouncing one more than it repels it, the velocity vector must be subtracted,
+     * since for collision, subtracting a colliding particle's velocity will in effect move towards
+     * it (see getRepulsion). */
+    var add1 = (this.getRepulsion(other) - 0.5) * 2;//[-1,1] range of how much the other repels this
+    var add2 = (other.getRepulsion(this) - 0.5) * 2;//[-1,1] range of how much this repels the other
 
     /** If, on the other hand, one of the particles is the parent of the other AND their child
      * hasn't escaped their volume, then this is emission-based bouncing. Because of that, we flip
@@ -543,6 +627,82 @@ Monad.prototype.bounce = function(other, both)
 
 }
 
+/**
+ * The momentum-conserving alternative to bounce (see dynamic.bouncing.elastic). Monads bounce as
+ * solid spheres of their mass: if both bounce, they exchange momentum along the line between their
+ * centers (across the toroid if nearer that way) so that they separate with restitution times the
+ * speed they approached with--kinetic energy is conserved as well at restitution 1. If only the
+ * calling monad bounces, the other is either leaving it (its unescaped emission, whose momentum
+ * the calling monad recoils from) or joining it (merging, where the calling monad takes on the
+ * momentum of both). Composition plays no part, except that with a bias, colliding monads are also
+ * pushed toward the other if its species draw them (with the default species, if it is more
+ * positive) and away from it if they repel them (see getRepulsion).
+ *
+ * Speeds are still limited to the maximum afterwards, the one place momentum and energy can be lost.
+ *
+ * @param {Monad} other the monad to bounce off of
+ * @param {boolean} [both] whether to bounce both particles; if false, only the first bounces
+ */
+Monad.prototype.bounceElastic = function(other, both)
+{   //memory references
+    var bouncing = this.controls.dynamic.bouncing;
+    var extent = this.zones.extent;
+    var toroid = this.zones.toroid;
+    var v1 = this.velocity;
+    var v2 = other.velocity;
+    var p1 = this.position;
+    var p2 = other.position;
+    var m1 = this.getMass();
+    var m2 = other.getMass();
+
+    //local variables
+    var nx = p2.x - p1.x, ny = p2.y - p1.y, nz = p2.z - p1.z;
+    var distance = 0.0, approach = 0.0, impulse = 0.0, push = 0.0;
+
+    if (!both) { //the other leaves or joins the calling monad, which keeps the momentum of both
+        if (this.index === other.parentIndex && other.quanta.countdown < 0) { //recoil from emission
+            v1.x -= (v2.x - v1.x) * m2 / m1;
+            v1.y -= (v2.y - v1.y) * m2 / m1;
+            v1.z -= (v2.z - v1.z) * m2 / m1;
+        } else { //merge
+            v1.x = (v1.x * m1 + v2.x * m2) / (m1 + m2);
+            v1.y = (v1.y * m1 + v2.y * m2) / (m1 + m2);
+            v1.z = (v1.z * m1 + v2.z * m2) / (m1 + m2);
+        }
+        this.checkVelocity(-1,false);
+        return;
+    }
+
+    //the line between the centers, the short way around the toroid
+    if (toroid) {
+        if (nx >= extent.x) nx -= 2 * extent.x; else if (nx < -extent.x) nx += 2 * extent.x;
+        if (ny >= extent.y) ny -= 2 * extent.y; else if (ny < -extent.y) ny += 2 * extent.y;
+        if (nz >= extent.z) nz -= 2 * extent.z; else if (nz < -extent.z) nz += 2 * extent.z;
+    }
+    distance = Math.sqrt(nx * nx + ny * ny + nz * nz);
+    if (distance === 0) return;//no line to bounce along
+    nx /= distance; ny /= distance; nz /= distance;
+
+    //exchange momentum along the line if approaching
+    approach = (v1.x - v2.x) * nx + (v1.y - v2.y) * ny + (v1.z - v2.z) * nz;
+    if (approach > 0) {
+        impulse = (1 + bouncing.restitution) * approach / (1 / m1 + 1 / m2);
+        v1.x -= nx * impulse / m1; v1.y -= ny * impulse / m1; v1.z -= nz * impulse / m1;
+        v2.x += nx * impulse / m2; v2.y += ny * impulse / m2; v2.z += nz * impulse / m2;
+    }
+
+    //polarity bias, toward what draws each monad
+    if (bouncing.bias) {
+        push = bouncing.bias * this.controls.dynamic.maxSpeed;
+        impulse = push * (1 - 2 * this.getRepulsion(other));//[-1,1] how much the other draws this
+        v1.x += nx * impulse; v1.y += ny * impulse; v1.z += nz * impulse;
+        impulse = push * (1 - 2 * other.getRepulsion(this));
+        v2.x -= nx * impulse; v2.y -= ny * impulse; v2.z -= nz * impulse;
+    }
+
+    this.checkVelocity(-1,false);
+    other.checkVelocity(-1,false);
+}
 
 
 /**************************************************************/
@@ -558,8 +718,11 @@ Monad.prototype.bounce = function(other, both)
  * reintegration). Once nullified, a monad remains in the monad array (no deletions or
  * object creations past initialization are done for performance reasons) and is available
  * to be used by a newly emitted quanta or other particle.
+ *
+ * @param {string} [cause]  'displaced' if nullified to make room for an emission, for the bond
+ *                          history of any monads bonded to this one ('nullified' by default)
  */
-Monad.prototype.nullify = function()
+Monad.prototype.nullify = function(cause)
 {   //memory references
     var p = this.position;
     var v = this.velocity;
@@ -571,12 +734,14 @@ Monad.prototype.nullify = function()
 
     this.zones.clearFromZone(this);
     this.stats.instant.occupancy--;
+    this.stats.molecules.remove(this, cause);//its partners only drop their bonds once they next check them
 
     //reset all physical stats and color
     if (this.bonds.length) this.bonds = [];
     p.x = p.y = p.z = this.controls.NONRENDER_DISTANCE;
     z.x = z.y = z.z = z.i = -1;
     q.attractons = q.repulsons = q.radius = q.countdown = q.mountdown = q.emit = 0;
+    for (var s = 0; s < q.others.length; s++) q.others[s] = 0;
     v.x = v.y = v.z = 0;
     c.r = c.g = c.b = 0;
 
@@ -586,7 +751,8 @@ Monad.prototype.nullify = function()
 /**
  * The function for handling emission. When called, the calling monad will set new properties for
  * and emit the parameter particle and then emit it as a 1-mass quanta from the calling monad's
- * center.
+ * center. A quanta of a further species (see Species) is emitted in the share of those the monad
+ * holds; otherwise an attracton or repulson is, by the monad's polarity (and impact charge).
  *
  * @param {Monad} other is the monad to be emitted from the calling monad;
  *                      it is assumed only nullified, non-simulated monads will be passed in
@@ -610,17 +776,29 @@ Monad.prototype.emit = function(other)
     var instant = this.stats.instant;
 
     //local variables
+    var mass = this.getMass();
+    var charged = q1.attractons + q1.repulsons;
     var polar = q1.attractons === 0 || q1.repulsons === 0;
-    var m1p = q1.attractons / this.getMass(); //[0,1] range of positivity for calling monad
+    var m1p = q1.attractons / charged; //[0,1] range of positivity for calling monad
     var pchance = m1p;
     var col = 0.0;
+    var attracton = false;
+    var neutral = false;
+    var ran = 0.0;
 
     if (toggle.impactEmit) //reset pchance to also reflect impact charge
         pchance = m1p * (1-prevMatch) + ((q1.charge+1)/2) * prevMatch;
 
-    if (q1.attractons > 0 && (polar ? true : (Math.random() < pchance ))) {//emit an attracton
+    if (charged < mass && (!charged || RANDOM.physics.next() * mass >= charged)) {//emit a quanta of a further species
+        ran = RANDOM.physics.next() * (mass - charged);
+        for (var s = 0; s < q1.others.length - 1 && (ran -= q1.others[s]) >= 0; s++);
+        q1.others[s]--;
+        q2.others[s]++;
+        neutral = true;
+    } else if (q1.attractons > 0 && (polar ? true : (RANDOM.physics.next() < pchance ))) {//emit an attracton
         q1.attractons--;
         q2.attractons++;
+        attracton = true;
     } else {//emit a repulson
         q1.repulsons--;
         q2.repulsons++;
@@ -635,14 +813,14 @@ Monad.prototype.emit = function(other)
     p2.add(this.position);
     this.zones.updateZone(other);
 
-    //new quanta velocity options
+    //new quanta velocity options, emitted after the impacts of its own kind if the impacts are dual
     if (toggle.impactEmit)
-        other.gaussianVelocity(q1.impact,ms*emission.prevRange);
+        other.gaussianVelocity(!emission.dualImpact || neutral ? q1.impact : (attracton ? q1.attractive : q1.repulsive),ms*emission.prevRange);
     else other.randomizeVelocity(ms);
     other.checkVelocity(ms,false);
 
     //new quanta color settings
-    other.setColor(0.0,0.25+Math.random()*0.5,0.0);
+    other.setColor(0.0,0.25+RANDOM.visual.next()*0.5,0.0);
     q2.countdown = -(this.index+1);
 
     //emitting monad physical traits
@@ -652,7 +830,7 @@ Monad.prototype.emit = function(other)
 
     //emitting monad color settings
     if (this.controls.visual.display.radiation) {
-        col = 0.35+Math.random()*0.35;
+        col = 0.35+RANDOM.visual.next()*0.35;
         if (!q1.mountdown) this.setColor(0.0,col,0.0);
         else if (q1.mountdown === -1) this.setColor(col*1.25,1.0,0.5);
         else if (q1.mountdown > 1) toggle.bonding ? this.setColor(col+0.3,col+0.3,col+0.3) : this.setColor(col+0.3,col*0.5,0);
@@ -662,11 +840,122 @@ Monad.prototype.emit = function(other)
     //debug/stats
     if (DEBUG) debug(["system","emission"],['emission',this,other]);
     instant.radiation++;
+    this.stats.ledger.created++;
     if (this.getMass() === 1) instant.monads--;
 
     return false; //no error encountered
 }
 
+/**
+ * The function for handling fission. When called, the calling monad splits in two: it keeps one
+ * daughter's share of its quanta and the parameter particle becomes the other daughter. How the
+ * quanta are shared follows dynamic.fission.split:
+ *
+ *      charge      the monad splits in half along its charge: the new daughter takes as many
+ *                  attractons as half the mass holds (making up the half with repulsons, then
+ *                  any further species), and the calling monad keeps the rest
+ *      random      the monad splits at a random ratio, each daughter keeping (about) its share
+ *                  of every species
+ *
+ * Either daughter gets at least two quanta. The daughters are placed touching, either side of where
+ * the monad was so that its center of mass stays put, and fly apart along a random direction at
+ * fission.speed (a fraction of maxSpeed), each at a speed inverse to its mass so that momentum is
+ * conserved. Like emitted quanta, the new daughter doesn't collide with its parent until it has
+ * left the parent's volume (see checkEscape).
+ *
+ * @param {Monad} other is the monad to become the new daughter;
+ *                      it is assumed only nullified, non-simulated monads will be passed in
+ *                      if passed in a non-eligible monad, no fission will occur
+ *
+ * @return {boolean}    true if the fission is compromised in some way and false otherwise
+ */
+Monad.prototype.fission = function(other)
+{
+    if (other === undefined) return true;//no free slot for the other daughter
+    //memory references
+    var sqrt = Math.sqrt;
+    var q1 = this.quanta;
+    var q2 = other.quanta;
+    var p1 = this.position;
+    var p2 = other.position;
+    var v1 = this.velocity;
+    var v2 = other.velocity;
+    var fission = this.controls.dynamic.fission;
+    var flat = this.zones.flat;
+    var count = this.zones.species.count;
+
+    //local variables
+    var mass = this.getMass();
+    var share = 0, need = 0, taken = 0, s = 0;
+    var m1 = 0, m2 = 0;
+    var reach = 0.0, speed = fission.speed * this.controls.dynamic.maxSpeed;
+    var nx = randGaussSimple(0,1), ny = randGaussSimple(0,1), nz = flat ? 0 : randGaussSimple(0,1);
+    var length = sqrt(nx * nx + ny * ny + nz * nz);
+
+    if (length > 0) { nx /= length; ny /= length; nz /= length; }
+    else { nx = 1; ny = nz = 0; }
+
+    //share the quanta
+    if (fission.split === 'charge') {
+        share = Math.floor(mass / 2);
+        for (s = 0, need = share; s < count; s++) { //attractons first, then repulsons, then any further species
+            taken = Math.min(this.getCount(s), need);
+            other.addCount(s, taken);
+            need -= taken;
+        }
+    } else {
+        share = Math.min(mass - 2, Math.max(2, Math.round(mass * RANDOM.physics.next())));
+        for (s = 0; s < count; s++) {
+            taken = Math.min(this.getCount(s), Math.round(this.getCount(s) * share / mass));
+            other.addCount(s, taken);
+            need += taken;
+        }
+        for (s = 0, need = share - need; need && s < count; s++) { //make up for rounding
+            taken = need > 0 ? Math.min(need, this.getCount(s) - other.getCount(s)) : Math.max(need, -other.getCount(s));
+            other.addCount(s, taken);
+            need -= taken;
+        }
+    }
+    for (s = 0; s < count; s++) this.addCount(s, -other.getCount(s));
+    m1 = this.getMass();
+    m2 = other.getMass();
+    this.updateRadius();
+    other.updateRadius();
+
+    //new daughter impact and parent traits
+    q2.charge = q1.charge;
+    q2.impact.copy(q1.impact);
+    q2.attractive.copy(q1.attractive);
+    q2.repulsive.copy(q1.repulsive);
+    q2.countdown = -(this.index+1);
+    other.parentIndex = this.index;
+
+    //positions either side of the center of mass, touching
+    reach = q1.radius + q2.radius;
+    p2.copy(p1);
+    p1.x += nx * reach * m2 / mass; p1.y += ny * reach * m2 / mass; p1.z += nz * reach * m2 / mass;
+    p2.x -= nx * reach * m1 / mass; p2.y -= ny * reach * m1 / mass; p2.z -= nz * reach * m1 / mass;
+    this.checkBounds(true);
+    other.checkBounds(true);
+
+    //velocities apart, with momentum conserved
+    v2.copy(v1);
+    v1.x += nx * speed * m2 / mass; v1.y += ny * speed * m2 / mass; v1.z += nz * speed * m2 / mass;
+    v2.x -= nx * speed * m1 / mass; v2.y -= ny * speed * m1 / mass; v2.z -= nz * speed * m1 / mass;
+    this.checkVelocity(-1,false);
+    other.checkVelocity(-1,false);
+
+    this.updateColor();
+    other.updateColor();
+
+    //debug/stats
+    if (DEBUG) debug(["system","emission"],['fission',this,other]);
+    this.stats.instant.monads++;
+    this.stats.events.fissions++;
+
+    return false; //no error encountered
+}
+
 /**
  * Sets the calling monad (and if the second argument is true, also the parameter monad)
  * to have a new position exactly halfway in between the center points of both monads.
@@ -676,7 +965,6 @@ Monad.prototype.emit = function(other)
  */
 Monad.prototype.midpoint = function(other, both)
 {   //memory references
-    var size = this.zones.size;
     var p1 = this.position;
     var p2 = other.position;
     var t1 = this.getMass();
@@ -695,8 +983,8 @@ Monad.prototype.midpoint = function(other, both)
     if (both) p2.add(p1);
     p1.divide(m1.add(m2));
     p2.divide(both ? m1 : m2);
-    this.checkBounds(size);
-    other.checkBounds(size);
+    this.checkBounds();
+    other.checkBounds();
 }
 
 /**
@@ -721,12 +1009,13 @@ Monad.prototype.spaceDistanceTo = function(other, distance)
     var x = this.velocity.x; var y = this.velocity.y; var z = this.velocity.z;
 
     //update until appropriate distance found
-    while (Math.abs(distance - this.getToroidDistanceTo(other, size, 0 /*size - Math.max(zoning,this.quanta.r+other.quanta.r)*/)) > maxvel) {
+    while (Math.abs(distance - this.getToroidDistanceTo(other, size /*Math.max(zoning,this.quanta.r+other.quanta.r)*/)) > maxvel) {
         if (++check === newvel) {
             this.randomizeVelocity(maxvel/2);
             check = 0;
         }
-        this.updatePosition();
+        this.position.add(this.velocity);
+        this.checkBounds(true);//a monad being placed must not vanish
     }
 
     this.velocity.x = x; this.velocity.y = y; this.velocity.z = z;//reset velocity to what it was before
@@ -775,13 +1064,34 @@ Monad.prototype.checkEmission = function()
     unstable = max(0, unstable / (controls.radiation - stability));
 
     //randomly determine how many quanta to emit based on instability and controls
-	ran = Math.random();
+	ran = RANDOM.physics.next();
     quanta.emit += ran < Math.pow(unstable, 1.0/controls.decayRate) ? Math.ceil(Math.pow(ran,controls.uniformity)*controls.maximum) : 0;//see research for extended explanation
     quanta.emit = Math.min(quanta.emit, this.getMass()-1);
 
     return quanta.emit;//how many quanta to emit
 }
 
+/**
+ * Checks whether the calling monad splits in two this tick (see fission()). A monad may split once
+ * its instability (as in checkEmission, 1.0 at the radiation threshold) reaches the fission
+ * threshold, and then does so at random with the fission chance. Monads lighter than four quanta
+ * never split, as each daughter must be heavier than a quanta.
+ *
+ * @return {boolean} whether the calling monad should split this tick
+ */
+Monad.prototype.checkFission = function()
+{   //memory references
+    var emission = this.controls.dynamic.emission;
+    var fission = this.controls.dynamic.fission;
+    var mass = this.getMass();
+
+    //local variables
+    var unstable = Math.max(0, mass - emission.stability) / (emission.radiation - emission.stability);
+
+    if (mass < 4 || !(unstable >= fission.threshold)) return false; //particle is stable enough to hold together
+    return RANDOM.physics.next() < fission.chance;
+}
+
 /**
  * Checks whether the calling monad is overlapping (their spherical volumes overlap) with the
  * parameter monad and returns false if they are. Used to check whether emitted quanta have
@@ -798,14 +1108,13 @@ Monad.prototype.checkEscape = function(other)
     var zone = this.zone;
     var ozone = other.zone;
     var zones = this.zones;
-    var size = zones.size;
     var zoning = zones.zoning;
 
     var radi = quanta.radius + oquanta.radius;
 
     if (this.position.distanceTo(other.position) > radi) { //euclidean distance is non-overlapping
         if (zone.x != ozone.x || zone.y != ozone.y || zone.z != ozone.z) //check if zones are different, then check toroid distance
-            if (this.getToroidDistanceTo(other, size, size - Math.max(zoning,radi)) <= radi)
+            if (this.getToroidDistanceTo(other, Math.max(zoning,radi)) <= radi)
                 return false;//toroid wrap indicates these are actually overlapping
         quanta.countdown = 1;
         return true;
@@ -821,11 +1130,15 @@ Monad.prototype.checkEscape = function(other)
  * Note that if pullIn and bounce are disabled in controls.dynamic.bonding, bonds function simply
  * to prevent overlap and use energy that would have gone into overlapping to emit quanta instead.
  *
+ * During a synchronous update, the other monad is not moved nor is the bond collapsed right away;
+ * both are handed to the synchrony to be done once every bond has been checked.
+ *
  * @param {Monad} other the other monad whose bond with the calling monad to check
+ * @param {Synchrony} [synchrony]   the synchrony of a synchronous update (see synchrony.js)
  *
  * @return {boolean} whether or not the calling monad was compromised (can happen through collapse)
  */
-Monad.prototype.checkBond = function(other)
+Monad.prototype.checkBond = function(other, synchrony)
 {
     if (other.quanta.radius === 0) return this.unbond(other,false);
     //memory references
@@ -839,7 +1152,6 @@ Monad.prototype.checkBond = function(other)
     var pos = this.position;
     var toofar = bonding.breakRatio;
     var tooclose = bonding.mergeRatio;
-    var size = zones.size;
     var zoning = zones.zoning;
     var mass = this.getMass();
 
@@ -855,17 +1167,18 @@ Monad.prototype.checkBond = function(other)
     var ratio = dist / radi;
 
     if (ratio > toofar) {//this particle looks very far away, checking again with toroid distance
-        dist = this.getToroidDistanceTo(other, size, size - Math.max(zoning,radi*toofar*ms));
+        dist = this.getToroidDistanceTo(other, Math.max(zoning,radi*toofar*ms));
         ratio = dist / radi;
     }
     check.x = check.y = check.z = 1;
-    oob = other.getOutOfBounds(size, size - zoning);
+    oob = other.getOutOfBounds(zoning);
 
     //check what category distance ratio falls under
     if (ratio < tooclose) { //particles are too close and must collapse
-        return this.unbond(other, dynamic.toggle.merging);
+        if (synchrony && dynamic.toggle.merging) return synchrony.collapse(this, other);
+        return this.unbond(other, dynamic.toggle.merging, 'collapse');
     } else if (bonding.allowBreak && ratio > toofar) { //particles are too far and must break their bond
-        return this.unbond(other, false);
+        return this.unbond(other, false, 'distance');
     } else if (bonding.pushOut && ratio < 1) { //particles are overlapping and should be nudged farther apart
         check.x = absMinPos(opos.x - pos.x, oob.x - pos.x) * (1/ratio);
         check.y = absMinPos(opos.y - pos.y, oob.y - pos.y) * (1/ratio);
@@ -884,8 +1197,11 @@ Monad.prototype.checkBond = function(other)
         check.y *= speed;
         check.z *= speed;
     }
-    other.position.add(check);
-    other.checkBounds(zones.size);
+    if (synchrony) synchrony.displace(other, check);
+    else {
+        other.position.add(check);
+        other.checkBounds();
+    }
 
     //check for excess speed and move energy to emission
     speed = sqrt(check.x * check.x + check.y * check.y + check.z * check.z);
@@ -896,26 +1212,87 @@ Monad.prototype.checkBond = function(other)
 }
 
 /**
- * Simply checks the bounds of a monad against the given size. If the monad has exceeded the
- * boundary, it will be 'warped' to the opposite of the toroid with a distance in from the
- * boundary equal to how much it extruded from the opposite boundary. If called whenever
- * position changes, this function ensures no monad will leave the environment proper and will
- * wrap around the toroid edges as expected.
+ * Simply checks the bounds of a monad against the world's radius along each axis (see
+ * Zones.extent) and, if the monad has exceeded the boundary, acts according to the world's
+ * boundary (see generation.world.boundary):
  *
- * @param {float} size  the radius or size of the world environment (boundary)
+ *      toroid      the monad is 'warped' to the opposite of the toroid with a distance in from the
+ *                  boundary equal to how much it extruded from the opposite boundary
+ *      bounce      the monad is reflected back in off the wall, and so is its velocity
+ *      reverse     the monad is reflected back in off the wall, and its velocity is reversed
+ *      vanish      the monad disappears (is nullified)
+ *      sphere      the monad is reflected back in off the sphere (the ellipsoid, if the world's
+ *                  radius differs by axis) within the world, and so is its velocity
+ *
+ * Once within the world, the monad is pushed out of any obstacle it has moved into, or absorbed by
+ * it (see Zones.checkObstacles), and its bounds are checked once more in case that pushed it out.
+ *
+ * If called whenever position changes, this function ensures no monad will leave the environment
+ * proper and will wrap around the toroid edges as expected.
+ *
+ * @param {boolean} [keep]          whether the monad must stay in the world, bouncing instead of
+ *                                  vanishing or being absorbed
+ * @param {boolean} [obstructed]    whether the obstacles have already been checked
  */
-Monad.prototype.checkBounds = function(size)
-{
+Monad.prototype.checkBounds = function(keep, obstructed)
+{   //memory references
+    var abs = Math.abs;
     var pos = this.position;
+    var vel = this.velocity;
+    var boundary = this.zones.boundary;
+    var extent = this.zones.extent;
+    var sx = extent.x, sy = extent.y, sz = extent.z;
+
+    //local variables
+    var edge = 1 - 1E-9;//just within the world, as the last zone ends at its radius
+    var distance = 0.0;
+    var outward = 0.0;
+    var nx = 0.0, ny = 0.0, nz = 0.0;
+
+    if (boundary === 'toroid') {
+        if (pos.x >= sx) pos.x = -(pos.x - 2 * (pos.x - sx)); //check and correct x boundary violation
+        else if (pos.x < -sx) pos.x = -(pos.x + 2 * (-pos.x - sx));
+
+        if (pos.y >= sy) pos.y = -(pos.y - 2 * (pos.y - sy)); //check and correct y boundary violation
+        else if (pos.y < -sy) pos.y = -(pos.y + 2 * (-pos.y - sy));
+
+        if (pos.z >= sz) pos.z = -(pos.z - 2 * (pos.z - sz)); //check and correct z boundary violation
+        else if (pos.z < -sz) pos.z = -(pos.z + 2 * (-pos.z - sz));
+    } else if (boundary === 'sphere') {
+        distance = Math.sqrt((pos.x / sx) * (pos.x / sx) + (pos.y / sy) * (pos.y / sy) + (pos.z / sz) * (pos.z / sz));//1 on the surface
+        if (distance >= 1) {
+            nx = pos.x / (sx * sx); ny = pos.y / (sy * sy); nz = pos.z / (sz * sz);//normal to the surface
+            outward = (nx * vel.x + ny * vel.y + nz * vel.z) / (nx * nx + ny * ny + nz * nz);
+            if (outward > 0) { //reflect velocity off the sphere's surface
+                vel.x -= 2 * outward * nx;
+                vel.y -= 2 * outward * ny;
+                vel.z -= 2 * outward * nz;
+            }
+            pos.multiplyScalar(Math.min(2 - distance, edge) / distance);
+        }
+    } else if (pos.x >= sx || pos.x < -sx || pos.y >= sy || pos.y < -sy || pos.z >= sz || pos.z < -sz) { //walls
+        if (boundary === 'vanish' && !keep) {
+            this.stats.ledger.destroyed += this.getMass();
+            this.nullify();
+            return;
+        }
+        if (boundary === 'reverse') vel.negate();
+
+        if (pos.x >= sx) { pos.x = Math.min(2 * sx - pos.x, sx * edge); if (boundary !== 'reverse') vel.x = -abs(vel.x); }
+        else if (pos.x < -sx) { pos.x = -2 * sx - pos.x; if (boundary !== 'reverse') vel.x = abs(vel.x); }
 
-    if (pos.x >= size) pos.x = -(pos.x - 2 * (pos.x - size)); //check and correct x boundary violation
-    else if (pos.x < -size) pos.x = -(pos.x + 2 * (-pos.x - size));
+        if (pos.y >= sy) { pos.y = Math.min(2 * sy - pos.y, sy * edge); if (boundary !== 'reverse') vel.y = -abs(vel.y); }
+        else if (pos.y < -sy) { pos.y = -2 * sy - pos.y; if (boundary !== 'reverse') vel.y = abs(vel.y); }
 
-    if (pos.y >= size) pos.y = -(pos.y - 2 * (pos.y - size)); //check and correct y boundary violation
-    else if (pos.y < -size) pos.y = -(pos.y + 2 * (-pos.y - size));
+        if (pos.z >= sz) { pos.z = Math.min(2 * sz - pos.z, sz * edge); if (boundary !== 'reverse') vel.z = -abs(vel.z); }
+        else if (pos.z < -sz) { pos.z = -2 * sz - pos.z; if (boundary !== 'reverse') vel.z = abs(vel.z); }
+    }
 
-    if (pos.z >= size) pos.z = -(pos.z - 2 * (pos.z - size)); //check and correct z boundary violation
-    else if (pos.z < -size) pos.z = -(pos.z + 2 * (-pos.z - size));
+    if (this.zones.blocked && !obstructed) { //now within the world, check its obstacles
+        if (!this.zones.checkObstacles(this, keep))
+            this.checkBounds(keep, true);//pushed out of an obstacle, perhaps out of the world again
+        return;
+    }
 
     this.zones.updateZone(this);//update the zone the particle is in
 }
@@ -955,6 +1332,7 @@ Monad.prototype.checkVelocity = function(enforce,emit)
         v.y *= ratio;
         v.z *= ratio;
         excess = speed - ms;
+        this.stats.ledger.clamped += 0.5 * this.getMass() * (speed * speed - ms * ms);
         if (emit && excess > 0) //there is excess energy that must be put to emission
             this.quanta.emit += 1 + Math.round(Math.sqrt(max + ms * excess));
     }
@@ -970,14 +1348,89 @@ Monad.prototype.checkVelocity = function(enforce,emit)
 
 /**
  * Returns the mass of the calling monad, which is the summation of a monad's composition
- * (its attractons plus its repulsons equals mass).
+ * (its attractons plus its repulsons plus any quanta of further species equals mass).
  *
  * @return {int} the mass of the calling monad
  */
 Monad.prototype.getMass = function()
 {
     var quanta = this.quanta;
-    return quanta.attractons + quanta.repulsons;
+    var others = quanta.others;
+    var mass = quanta.attractons + quanta.repulsons;
+    for (var s = 0; s < others.length; s++) mass += others[s];
+    return mass;
+}
+
+/**
+ * Returns how many quanta of the given species the calling monad holds (see Species).
+ *
+ * @param {int} species     the species: 0 for attractons, 1 for repulsons, and so on
+ *
+ * @return {int} the count of the species
+ */
+Monad.prototype.getCount = function(species)
+{
+    var quanta = this.quanta;
+    return species === 0 ? quanta.attractons : (species === 1 ? quanta.repulsons : quanta.others[species-2]);
+}
+
+/**
+ * Adds the given number of quanta of the given species to the calling monad (negative to take
+ * them away). The radius is left to be updated by the caller.
+ *
+ * @param {int} species     the species: 0 for attractons, 1 for repulsons, and so on
+ * @param {int} count       how many quanta to add
+ */
+Monad.prototype.addCount = function(species, count)
+{
+    var quanta = this.quanta;
+    if (species === 0) quanta.attractons += count;
+    else if (species === 1) quanta.repulsons += count;
+    else quanta.others[species-2] += count;
+}
+
+/**
+ * Returns the species the calling monad holds the most of, the first on a tie; for a quanta, its
+ * one species.
+ *
+ * @return {int} the species (see getCount)
+ */
+Monad.prototype.getSpecies = function()
+{   //local variables
+    var species = 0, most = -1, count = 0;
+
+    for (var s = 0; s < this.zones.species.count; s++)
+        if ((count = this.getCount(s)) > most) { species = s; most = count; }
+    return species;
+}
+
+/**
+ * Returns how much the parameter monad repels the calling monad, in [0,1]: the share of every pair
+ * of a quanta of the calling monad and one of the other that repel, where a pair whose species
+ * are weighed w in the species matrix counts as (1-w)/2 of a repelling pair (see Species). With
+ * the default species, every quanta is pushed from repulsons and drawn to attractons, and so this
+ * is simply the other's share of repulsons.
+ *
+ * @param {Monad} other     the monad whose repulsion to measure
+ *
+ * @return {float} how much the other repels the calling monad, 0.5 when it neither draws nor repels
+ */
+Monad.prototype.getRepulsion = function(other)
+{   //memory references
+    var species = this.zones.species;
+    var matrix = species.matrix;
+
+    //local variables
+    var repelling = 0.0;
+    var c1 = 0, c2 = 0, row = null;
+
+    for (var i = 0; i < species.count; i++) {
+        if (!(c1 = this.getCount(i))) continue;
+        row = matrix[i];
+        for (var j = 0; j < species.count; j++)
+            if ((c2 = other.getCount(j))) repelling += c1 * c2 * (1 - row[j]) / 2;
+    }
+    return repelling / (this.getMass() * other.getMass());//counted whole, so with whole weights it is exactly the share
 }
 
 /**
@@ -991,58 +1444,128 @@ Monad.prototype.getSpeed = function() {
     return Math.sqrt(v.x * v.x + v.y * v.y + v.z * v.z);
 }
 
+/**
+ * Returns the activation energy of a collision between the calling monad and the parameter monad:
+ * the kinetic energy of their relative motion (half their reduced mass times their relative speed
+ * squared) in units of a quanta at maximum speed, raised by the difference in their charge (see
+ * dynamic.bonding.polarity) so that oppositely charged monads react more readily. This is the
+ * energy weighed against the bonding and merging thresholds (see getReaction).
+ *
+ * @param {Monad} other             the monad colliding with the calling monad
+ * @param {Float64Array} [velocities]   the velocities to measure by, laid out by index, rather than
+ *                                      the monads' own (see Synchrony.velocities)
+ *
+ * @return {float} the activation energy, >= 0
+ */
+Monad.prototype.getActivation = function(other, velocities)
+{   //memory references
+    var v1 = this.velocity;
+    var v2 = other.velocity;
+    var q1 = this.quanta;
+    var q2 = other.quanta;
+    var ms = this.controls.dynamic.maxSpeed;
+    var polarity = this.controls.dynamic.bonding.polarity;
+
+    //local variables
+    var m1 = this.getMass();
+    var m2 = other.getMass();
+    var i1 = this.index * 3;
+    var i2 = other.index * 3;
+    var x = velocities ? velocities[i1] - velocities[i2] : v1.x - v2.x;
+    var y = velocities ? velocities[i1+1] - velocities[i2+1] : v1.y - v2.y;
+    var z = velocities ? velocities[i1+2] - velocities[i2+2] : v1.z - v2.z;
+    var difference = Math.abs(q1.attractons / m1 - q2.attractons / m2);
+
+    return (m1 * m2 / (m1 + m2)) * (x * x + y * y + z * z) / (ms * ms) * (1 + polarity * difference);
+}
+
+/**
+ * Returns how the calling monad reacts to colliding with the parameter monad if activation is on
+ * (see dynamic.bonding.activation) and both are heavier than quanta: 'merge' if the collision is
+ * at least as energetic as mergeEnergy, 'bond' if it is at least as energetic as bondEnergy, and
+ * 'bounce' otherwise, skipping whichever of bonding and merging is toggled off. If activation does
+ * not apply, returns null and the collision is left to the toggles alone.
+ *
+ * @param {Monad} other             the monad colliding with the calling monad
+ * @param {Float64Array} [velocities]   the velocities to measure by (see getActivation)
+ *
+ * @return {string} the name of the monad function to react with, or null
+ */
+Monad.prototype.getReaction = function(other, velocities)
+{   //memory references
+    var toggle = this.controls.dynamic.toggle;
+    var bonding = this.controls.dynamic.bonding;
+
+    //local variables
+    var energy = 0.0;
+
+    if (!bonding.activation || this.getMass() < 2 || other.getMass() < 2) return null;
+
+    energy = this.getActivation(other, velocities);
+    if (toggle.merging && energy >= bonding.mergeEnergy) return 'merge';
+    if (toggle.bonding && energy >= bonding.bondEnergy) return 'bond';
+    return 'bounce';
+}
+
 /**
  * Sets and returns a monad's out of bounds vector to match the monad's check. This means that
  * for any check.x/y/z values that are true, the out of bounds vector will translate that axis
  * to its opposite side if it falls within a certain distance. Out of bounds vectors may violate
  * natural boundary laws and are not restricted to certain coordinates; this enables the out of
  * bounds vector to be used to measure true distance. A monad at any given point has 1 natural
- * (Euclidean) vector and up to 26 adjacent out of bounds vectors. Note that having the first
- * parameter be the world environment radius will have any out of bound vectors placed beyond
- * that boundary.
+ * (Euclidean) vector and up to 26 adjacent out of bounds vectors. Flipped coordinates are placed
+ * beyond the world's boundary on that axis (see Zones.extent).
  *
- * Note: calling monad.getOutOfBounds(zones.size,0) with check of 1,1,1 will flip the monad to its
+ * Note: calling monad.getOutOfBounds(zones.size) with check of 1,1,1 will flip the monad to its
  *          polar opposite position, which may or may not be out of bounds
  *       calling getOutOfBounds with not all check.x/y/z true will only flip the true axis
- *       a limit over 0 will only flip a monad's out of bounds coordinates if the monad's coordinate
- *          on that specific axis is beyond the limit
+ *       a margin smaller than the world's radius will only flip a monad's out of bounds coordinates
+ *          if the monad's coordinate on that specific axis is within the margin of the boundary
  *
- * @param {float} size  the radius to be considered the boundary (flipped particles will have their
- *                      coordinates set beyond this boundary)
- * @param {float} limit how far a monad can be along a true check.x/y/z axis before it is will get
- *                      flipped to its out of bound vector
+ * @param {float} margin    how close to the boundary a monad must be along a true check.x/y/z axis
+ *                          before it will get flipped to its out of bound vector
+ *
+ * If the world does not wrap around (see generation.world.boundary), the out of bounds vector is
+ * always the monad's own position; if it is flat, z is never flipped.
  *
  * @return {Vector3}    the out of bounds vector, passed for quick access
  */
-Monad.prototype.getOutOfBounds = function(size,limit)
+Monad.prototype.getOutOfBounds = function(margin)
 {   //memory references
+    var max = Math.max;
     var pos = this.position;
     var check = this.check;
     var oob = this.oob;
+    var extent = this.zones.extent;
+    var sx = extent.x, sy = extent.y, sz = extent.z;
+    var toroid = this.zones.toroid;
+    var flat = this.zones.flat;
 
     //local variables
     var x = pos.x + 0.0;
     var y = pos.y + 0.0;
     var z = pos.z + 0.0;
+    var limit = 0.0;
 
-    limit = Math.max(0,limit);
-
-    if (check.x) { //flip x if applicable
-        if (x < -limit) x = size + (size + x);
-        else if (x >= limit) x = -size - (size - x);
+    if (check.x && toroid) { //flip x if applicable
+        limit = max(0, sx - margin);
+        if (x < -limit) x = sx + (sx + x);
+        else if (x >= limit) x = -sx - (sx - x);
     }
 
-    if (check.y) { //flip y if applicable
-        if (y < -limit) y = size + (size + y);
-        else if (y >= limit) y = -size - (size - y);
+    if (check.y && toroid) { //flip y if applicable
+        limit = max(0, sy - margin);
+        if (y < -limit) y = sy + (sy + y);
+        else if (y >= limit) y = -sy - (sy - y);
     }
 
-    if (check.z) { //flip z if applicable
-        if (z < -limit) z = size + (size + z);
-        else if (z >= limit) z = -size - (size - z);
+    if (check.z && toroid && !flat) { //flip z if applicable
+        limit = max(0, sz - margin);
+        if (z < -limit) z = sz + (sz + z);
+        else if (z >= limit) z = -sz - (sz - z);
     }
 
-    if (DEBUG) debug(["system","collision"],['outOfBounds','limit,bound',size,limit,'x',pos.x,x,'y',pos.y,y,'z',pos.z,z]);
+    if (DEBUG) debug(["system","collision"],['outOfBounds','margin,bound',margin,extent,'x',pos.x,x,'y',pos.y,y,'z',pos.z,z]);
 
     //set and return oob
     oob.x = x;
@@ -1053,30 +1576,32 @@ Monad.prototype.getOutOfBounds = function(size,limit)
 
 /**
  * Returns the absolute shortest distance between the calling and the parameter monad assuming
- * cubic three-torus space (where the world environment wraps at 26 points of contact). The
- * shortest distance will be a factor of size and limit, where the simulation measures the boundary
- * as the size and how far from 0 a monad can be until it should be considered in multiple locations
- * along that axis as the limit. This function essentially uses several layered loops to cycle through
- * all potential locations within the parameter restrictions--the loops consist of repeated calling
- * of getOutOfBounds to accomplish this. See getOutOfBounds for more details.
- *
- * Note: calling monad.getToroidDistanceTo(other, zones.size, 0) will give the true shortest distance
+ * three-torus space (where the world environment wraps at 26 points of contact). The shortest
+ * distance will be a factor of the margin, which is how close to the boundary a monad must be
+ * until it should be considered in multiple locations along that axis. This function essentially
+ * uses several layered loops to cycle through all potential locations within the parameter
+ * restrictions--the loops consist of repeated calling of getOutOfBounds to accomplish this. See
+ * getOutOfBounds for more details.
+ *
+ * Note: calling monad.getToroidDistanceTo(other, zones.size) will give the true shortest distance
  *          this will be resource intensive as all 8 potential positions for each particle will be
  *          checked against each other, meaning the distance checking happens 64 times
- *       calling monad.getToroidDistanceTo(other, zones.size, zones.size - *), where * is the maximum of the
- *          monad's combined radius or zones.zoning will ensure a speedy distance function that only
+ *       calling monad.getToroidDistanceTo(other, *), where * is the maximum of the monad's
+ *          combined radius or zones.zoning will ensure a speedy distance function that only
  *          checks necessary arrangements of particles
  *
- * @param {Monad} other is the monad whose distance to check from calling monad
- * @param {float} size  the radius to be considered the boundary (particles will be set beyond this
- *                      boundary if they satisfy the limit condition
- * @param {float} limit how far a monad can be along a true check.x/y/z axis before it will have all
- *                      potential coordinates for that axis checked (default and flipped)
+ * @param {Monad} other     is the monad whose distance to check from calling monad
+ * @param {float} margin    how close to the boundary a monad must be along a true check.x/y/z axis
+ *                          before it will have all potential coordinates for that axis checked
+ *                          (default and flipped)
+ *
+ * If the world does not wrap around (see generation.world.boundary), no coordinate is ever out of
+ * bounds and the shortest distance is simply the Euclidean distance.
  *
  * @return {float} the theoretical shortest distance between the calling and parameter monad
  *                  when accounting for all 64 or fewer relational distances set by parameters
  */
-Monad.prototype.getToroidDistanceTo = function(other, size, limit)
+Monad.prototype.getToroidDistanceTo = function(other, margin)
 {   //memory references
     var min = Math.min;
     var p1 = this.position;
@@ -1090,33 +1615,32 @@ Monad.prototype.getToroidDistanceTo = function(other, size, limit)
     var x1 = 0; var y1 = 0; var z1 = 0;
     var x2 = 0; var y2 = 0; var z2 = 0;
     var distance = p1.distanceTo(p2);
-    limit = Math.max(0,limit);
 
     //get out of bounds information for calling monad
     c1.x = c1.y = c1.z = 1;
-    this.getOutOfBounds(size,limit);
+    this.getOutOfBounds(margin);
     x1 = p1.x === o1.x ? 0 : 1;
     y1 = p1.y === o1.y ? 0 : 1;
     z1 = p1.z === o1.z ? 0 : 1;
 
     //get out of bounds information for parameter monad
     c2.x = c2.y = c2.z = 1;
-    other.getOutOfBounds(size,limit);
+    other.getOutOfBounds(margin);
     x2 = p2.x === o2.x ? 0 : 1;
     y2 = p2.y === o2.y ? 0 : 1;
     z2 = p2.z === o2.z ? 0 : 1;
 
-    if (DEBUG) debug(["system","collision"],['lim',limit,'cross',x1,y1,z1,x2,y2,z2,'\nTHIS:  x',p1.x,'y',p1.y,'z',p1.z,'\n\tox',o1.x,'oy',o1.y,'oz',o1.z,'\nOTHER: x',p2.x,'y',p2.y,'z',p2.z,'\n\tox',o2.x,'oy',o2.y,'oz',o2.z]);
+    if (DEBUG) debug(["system","collision"],['margin',margin,'cross',x1,y1,z1,x2,y2,z2,'\nTHIS:  x',p1.x,'y',p1.y,'z',p1.z,'\n\tox',o1.x,'oy',o1.y,'oz',o1.z,'\nOTHER: x',p2.x,'y',p2.y,'z',p2.z,'\n\tox',o2.x,'oy',o2.y,'oz',o2.z]);
 
     /**If any checks were flagged (meaning some coordinate of either particle was beyond the limit),
      * the multiple loop cycle will begin. Note that given the structure, only flagged coordinates
      * will be checked. */
     if (x1 || y1 || z1 || x2 || y2 || z2)
         for (c1.x = 0; c1.x <= x1; c1.x++) for (c1.y = 0; c1.y <= y1; c1.y++) for (c1.z = 0; c1.z <= z1; c1.z++) { //calling monad coordinates
-            this.getOutOfBounds(size,limit);
+            this.getOutOfBounds(margin);
             for (c2.x = 0; c2.x <= x2; c2.x++) for (c2.y = 0; c2.y <= y2; c2.y++) for (c2.z = 0; c2.z <= z2; c2.z++) { //parameter monad coordinates
                 if (DEBUG) debug(["system","collision"],['step',c1.x,c1.y,c1.z,c2.x,c2.y,c2.z]);
-                distance = min(distance, o1.distanceTo(other.getOutOfBounds(size,limit)));
+                distance = min(distance, o1.distanceTo(other.getOutOfBounds(margin)));
                 if (DEBUG) debug(["system","collision"],['x1',o1.x,'y1',o1.y,'z1',o1.z,'x2',o2.x,'y2',o2.y,'z2',o2.z, o1.distanceTo(o2)]);
             }
         }
@@ -1132,6 +1656,75 @@ Monad.prototype.getToroidDistanceTo = function(other, size, limit)
 /**************************************************************/
 /**************************************************************/
 
+/**
+ * Accelerates the monad by every external force field with a strength (see controls.dynamic.fields),
+ * and along the gradient of the zone field if there is one (see controls.dynamic.field), then limits
+ * its speed to the maximum. Each external field's acceleration is scaled by how far the monad is
+ * from the center of the world (1 at the center to 0 at the farthest corner, to the power of the
+ * falloff) and by the monad's composition (the weighted attractons plus repulsons over its mass, any
+ * further species feeling the field in full).
+ * Nothing is pushed off the plane of a flat world.
+ */
+Monad.prototype.updateFields = function()
+{   //memory references
+    var fields = this.controls.dynamic.fields;
+    var attractor = fields.attractor;
+    var drift = fields.drift;
+    var vortex = fields.vortex;
+    var pos = this.position;
+    var v = this.velocity;
+    var quanta = this.quanta;
+    var field = this.controls.dynamic.field;
+    var zones = this.zones;
+    var flat = zones.flat;
+    var gradient = this.check;
+    var pow = Math.pow;
+
+    //local variables
+    var mass = this.getMass();
+    var a = quanta.attractons / mass, r = quanta.repulsons / mass;//each kind's share of the monad
+    var o = (mass - quanta.attractons - quanta.repulsons) / mass;//further species feel every field in full
+    var reach = 0.0, length = 0.0, force = 0.0;
+    var dz = 0.0;
+
+    if (!attractor.strength && !drift.strength && !vortex.strength && !(field.strength && zones.field)) return; //no fields
+
+    length = pos.length();
+    reach = Math.max(0, 1 - length / zones.maxdist);
+    if (attractor.strength && length > 0) { //toward the center
+        force = attractor.strength * pow(reach, attractor.falloff) * (attractor.attractons * a + attractor.repulsons * r + o) / length;
+        v.x -= pos.x * force;
+        v.y -= pos.y * force;
+        v.z -= pos.z * force;
+    }
+
+    dz = flat ? 0 : drift.z;
+    length = Math.sqrt(drift.x * drift.x + drift.y * drift.y + dz * dz);
+    if (drift.strength && length > 0) { //along the direction
+        force = drift.strength * pow(reach, drift.falloff) * (drift.attractons * a + drift.repulsons * r + o) / length;
+        v.x += drift.x * force;
+        v.y += drift.y * force;
+        v.z += dz * force;
+    }
+
+    length = Math.sqrt(pos.x * pos.x + pos.y * pos.y);
+    if (vortex.strength && length > 0) { //around the z axis
+        force = vortex.strength * pow(reach, vortex.falloff) * (vortex.attractons * a + vortex.repulsons * r + o) / length;
+        v.x -= pos.y * force;
+        v.y += pos.x * force;
+    }
+
+    if (field.strength && zones.field) { //up the zone field
+        force = field.strength * (field.source === 'charge' ? a - r : 1);
+        zones.getGradient(this, gradient);
+        v.x += gradient.x * force;
+        v.y += gradient.y * force;
+        v.z += gradient.z * force;
+    }
+
+    this.checkVelocity(-1,false);
+}
+
 /**
  * Updates the 3d physical coordinates of the monad by adding its velocity to its position vector
  * and checking for any boundary overlap. Function chains ensure that particles will not overlap
@@ -1140,15 +1733,16 @@ Monad.prototype.getToroidDistanceTo = function(other, size, limit)
 Monad.prototype.updatePosition = function()
 {
     this.position.add(this.velocity);//particle moves based on velocity
-    this.checkBounds(this.zones.size);//check if particle has left world boundaries and perform appropriate action if it has
+    this.checkBounds();//check if particle has left world boundaries and perform appropriate action if it has
 }
 
 /**
- * Updates the calling monad's radius based on its mass and simulation density.
+ * Updates the calling monad's radius based on its mass and simulation density (as a circle's
+ * area rather than a sphere's volume if the world is flat).
  */
 Monad.prototype.updateRadius = function()
 {
-    this.quanta.radius = radiusSphere(this.getMass(), this.controls.dynamic.density);
+    this.quanta.radius = (this.zones.flat ? radiusCircle : radiusSphere)(this.getMass(), this.controls.dynamic.density);
 }
 
 /**
@@ -1158,7 +1752,8 @@ Monad.prototype.updateRadius = function()
  * a specific radius will have a limited lightened color scheme. Other monads will have
  * their color split between red/blue or black/white based directly on the ratio of
  * attractons and repulsons within the monad, where purest red/black is fully negative,
- * and purest blue/white is fully positive.
+ * and purest blue/white is fully positive (other species presets mix the color of every
+ * species the monad holds instead, see Species).
  */
 Monad.prototype.updateColor = function()
 {
@@ -1178,6 +1773,8 @@ Monad.prototype.updateColor = function()
     var range = Math.max(0.0, color - cloud.lightDarkest);
     var r = cloud.reverseSpectrum ? 1 : -1;
     var ratio = 0.0;
+    var species = this.zones.species;
+    var red = 0.0, green = 0.0, blue = 0.0, share = 0.0, tint = null;
 
     if (r > 0 ? (radius > whiteout) : (radius < whiteout)) {//check whether particle is in whiteout radius
         range *= (r > 0 ? 0 : -r) + (r * (radius-1) / whiteout);
@@ -1186,7 +1783,17 @@ Monad.prototype.updateColor = function()
         else if (quanta.repulsons / mass >= 2/3)//color negative
             this.setColor(color,color*range,color*range);
         else this.setColor(color,color*range,color);//color neutral
-    } else this.setColor((quanta.repulsons / mass) * color, 0.0, (quanta.attractons / mass) * color);//color particle normally
+    } else { //color particle normally, mixing the colors of its species by their shares
+        for (var s = 0; s < species.count; s++) {
+            if (!(share = this.getCount(s))) continue;
+            share = (share / mass) * color;
+            tint = species.colors[s];
+            red += share * tint[0];
+            green += share * tint[1];
+            blue += share * tint[2];
+        }
+        this.setColor(red, green, blue);
+    }
 
     if (quanta.countdown >= 0) quanta.countdown = quanta.mountdown = 0;//reset color counters if quanta.countdown not used for checking escape
 }
@@ -1227,23 +1834,23 @@ Monad.prototype.setColor = function(r,g,b)
 }
 
 /**
- * Randomizes a monad's velocity so each vector is within the given speed. Note that this can
- * exceed controls set max speed.
+ * Randomizes a monad's velocity so each vector is within the given speed (z staying 0 in a flat
+ * world). Note that this can exceed controls set max speed.
  *
  * @param {float} ms    the max value a velocity vector can be randomized to
  */
 Monad.prototype.randomizeVelocity = function(ms)
 {
-    var random = Math.random;
+    var random = RANDOM.physics.next;
     var v = this.velocity;
     v.x = random() * 2 * ms - ms;
     v.y = random() * 2 * ms - ms;
-    v.z = random() * 2 * ms - ms;
+    v.z = this.zones.flat ? 0 : random() * 2 * ms - ms;
 }
 
 /**
  * Changes a monad's velocity to be a normally distributed random vector based off of the
- * parameters.
+ * parameters (z staying 0 in a flat world).
  *
  * @param {Vector3} vector  the vector whose x,y, and z values should be considered 0 stds
  * @param {float} std       the standard deviation from which the x/y/z values will spread from
@@ -1253,7 +1860,7 @@ Monad.prototype.gaussianVelocity = function(vector,std)
     var v = this.velocity;
     v.x = randGaussSimple(vector.x,std);
     v.y = randGaussSimple(vector.y,std);
-    v.z = randGaussSimple(vector.z,std);
+    v.z = this.zones.flat ? 0 : randGaussSimple(vector.z,std);
 }
 
 
@@ -1282,13 +1889,12 @@ Monad.prototype.toString = function(other)
     var stats = this.stats;
     var tick = stats.tick;
     var zones = this.zones;
-    var size = zones.size;
     var zoning = zones.zoning;
     var monad = (this.index || !tick) ? "" : "\n\nTick: " + tick + "    Cloud: " + (stats.instant.particles - stats.instant.monads) + "\n";
     var traits = ["Monad",  "Attractons", "Repulsons", "xPos", "yPos", "zPos", "xVel", "yVel", "zVel", "xImp", "yImp", "zImp",  "chargeImpact",  "Radius", "Bonds"  ];
     var values = [this.index,quanta.attractons,     quanta.repulsons,    pos.x,  pos.y,  pos.z, vel.x,  vel.y,  vel.z,  imp.x,  imp.y,  imp.z,   quanta.charge,         quanta.radius, this.bonds.length];
     for (var i = 0; i < traits.length; i++)
         monad += (!i || i%3 ? "" : "\n" + spacing) + (traits[i] + ": " + values[i] + spacing).slice(0, spacing.length);
-    if (this.index && other) monad += "\nDistance: " + this.getToroidDistanceTo(other,size,size - Math.max(zoning,quanta.radius+other.quanta.radius));
+    if (this.index && other) monad += "\nDistance: " + this.getToroidDistanceTo(other,Math.max(zoning,quanta.radius+other.quanta.radius));
     return monad;
 }
@@ -0,0 +1,174 @@
+/**
+ * Emergence Simulation System
+ * @author Marceline Peters / https://github.com/marcinas
+ * see readme for additional credits
+ */
+
+
+
+/**************************************************************/
+/**************************************************************/
+/*******************        OBSTACLE        *******************/
+/**************************************************************/
+/**************************************************************/
+
+/**
+ * A fixed piece of geometry inside the world that monads collide with but never move (see
+ * generation.world.obstacles and Zones.checkObstacles). Every obstacle is a solid given by its
+ * signed distance (see distance()): positive outside it, negative inside it, with a normal
+ * pointing out of it. The shapes are
+ *
+ *      plane       everything behind the plane through center facing normal (a half-world)
+ *      box         the box around center with the given extent (half the side) along each axis
+ *      sphere      the ball around center with the given radius
+ *      membrane    the slab of the given thickness through center facing normal, with round holes
+ *                  (each { center, radius }) cut through it--these are slits in a flat world
+ *
+ * A monad never moves further than maxSpeed in a tick, so a membrane should be thicker than that
+ * for nothing to pass through it. Obstacles that absorb swallow quanta that hit them; monads
+ * heavier than quanta always bounce off, as they would off another monad that absorbs quanta.
+ *
+ * In a flat world, every obstacle is cut by the plane the monads move in: nothing is measured or
+ * pushed along z, so a sphere acts as a circle and a box as a rectangle.
+ *
+ * @param {Object} spec             the obstacle: { shape, center, normal, extent, radius,
+ *                                  thickness, holes, absorb }, vectors given as { x, y, z }
+ * @param {boolean} [flat]          whether the world is flat
+ */
+function Obstacle(spec, flat)
+{
+    /** Which solid the obstacle is: 'plane', 'box', 'sphere', or 'membrane' */
+    this.shape = spec.shape;
+    /** The center of the obstacle (or a point on the plane of a plane or membrane) */
+    this.center = new THREE.Vector3().copy(spec.center || {x: 0, y: 0, z: 0});
+    /** The direction the plane or membrane faces, normalized */
+    this.normal = new THREE.Vector3().copy(spec.normal || {x: 1, y: 0, z: 0});
+    /** The half sides of a box */
+    this.extent = new THREE.Vector3().copy(spec.extent || {x: 0, y: 0, z: 0});
+    /** The radius of a sphere */
+    this.radius = spec.radius || 0;
+    /** The thickness of a membrane */
+    this.thickness = spec.thickness || 0;
+    /** The holes through a membrane, each { center, radius } */
+    this.holes = (spec.holes || []).map(function(hole) {
+        return { center: new THREE.Vector3().copy(hole.center), radius: hole.radius };
+    });
+    /** Whether quanta are absorbed by the obstacle rather than bouncing off it */
+    this.absorb = spec.absorb || false;
+    /** Whether the obstacle is cut by the plane of a flat world */
+    this.flat = flat || false;
+
+    if (this.flat) this.normal.z = 0;
+    this.normal.normalize();
+}
+
+/** The obstacle layouts that can be chosen by name (see Obstacle.layout) */
+Obstacle.LAYOUTS = ['none', 'wall', 'slit', 'double slit', 'compartments', 'sphere', 'box'];
+
+/**
+ * Returns the obstacle specs of a named layout, sized to the world: a wall (a membrane across x = 0),
+ * the wall with one hole or two through it (the slit experiments), four compartments (walls across
+ * x = 0 and y = 0, each with a hole on either side of the center), or a sphere or box at the center.
+ *
+ * @param {string} name         the layout (see Obstacle.LAYOUTS)
+ * @param {Vector3} extent      the radius of the world along each axis
+ * @param {boolean} [absorb]    whether the obstacles absorb quanta
+ *
+ * @return {Object[]} the specs of the layout's obstacles
+ */
+Obstacle.layout = function(name, extent, absorb)
+{   //local variables
+    var side = Math.min(extent.x, extent.y);
+    var thickness = side / 16;
+    var origin = { x: 0, y: 0, z: 0 };
+
+    /** A membrane through the center of the world facing x (or y), with holes at the given points */
+    function wall(normal, holes, radius) {
+        return { shape: 'membrane', center: origin, normal: normal, thickness: thickness, absorb: absorb,
+                 holes: holes.map(function(center) { return { center: center, radius: radius }; }) };
+    }
+
+    switch (name) {
+        case 'wall': return [wall({x: 1, y: 0, z: 0}, [], 0)];
+        case 'slit': return [wall({x: 1, y: 0, z: 0}, [origin], side / 8)];
+        case 'double slit': return [wall({x: 1, y: 0, z: 0}, [{x: 0, y: -side / 4, z: 0}, {x: 0, y: side / 4, z: 0}], side / 16)];
+        case 'compartments': return [wall({x: 1, y: 0, z: 0}, [{x: 0, y: -side / 2, z: 0}, {x: 0, y: side / 2, z: 0}], side / 8),
+                                     wall({x: 0, y: 1, z: 0}, [{x: -side / 2, y: 0, z: 0}, {x: side / 2, y: 0, z: 0}], side / 8)];
+        case 'sphere': return [{ shape: 'sphere', center: origin, radius: side / 4, absorb: absorb }];
+        case 'box': return [{ shape: 'box', center: origin, extent: {x: side / 4, y: side / 4, z: Math.min(side, extent.z) / 4}, absorb: absorb }];
+        default: return [];
+    }
+}
+
+/**
+ * Returns the signed distance from the given point to the surface of the obstacle (negative inside
+ * it) and sets the given vector to the direction out of the obstacle at its nearest surface.
+ *
+ * @param {Vector3} point       the point to measure from
+ * @param {Vector3} normal      the vector to set to the outward direction (unit length, or 0
+ *                              where there is no single direction, such as a sphere's center)
+ *
+ * @return {float} the signed distance
+ */
+Obstacle.prototype.distance = function(point, normal)
+{   //memory references
+    var abs = Math.abs;
+    var c = this.center;
+    var n = this.normal;
+    var e = this.extent;
+    var holes = this.holes;
+
+    //local variables
+    var x = point.x - c.x, y = point.y - c.y, z = this.flat ? 0 : point.z - c.z;
+    var qx = 0.0, qy = 0.0, qz = 0.0;
+    var along = 0.0, radial = 0.0, distance = 0.0, hole = 0.0;
+    var h = null;
+
+    switch (this.shape) {
+        case 'plane':
+            normal.copy(n);
+            return x * n.x + y * n.y + z * n.z;
+
+        case 'sphere':
+            distance = Math.sqrt(x * x + y * y + z * z);
+            if (distance > 0) normal.set(x / distance, y / distance, z / distance);
+            else normal.set(0, 0, 0);
+            return distance - this.radius;
+
+        case 'box':
+            qx = abs(x) - e.x; qy = abs(y) - e.y; qz = this.flat ? -Infinity : abs(z) - e.z;
+            if (qx > 0 || qy > 0 || qz > 0) { //outside, nearest to a face, edge, or corner
+                normal.set(Math.max(qx, 0) * Math.sign(x), Math.max(qy, 0) * Math.sign(y), Math.max(qz, 0) * Math.sign(z));
+                distance = normal.length();
+                normal.divideScalar(distance);
+                return distance;
+            }
+            if (qx >= qy && qx >= qz) normal.set(Math.sign(x) || 1, 0, 0);//inside, nearest to one face
+            else if (qy >= qz) normal.set(0, Math.sign(y) || 1, 0);
+            else normal.set(0, 0, Math.sign(z) || 1);
+            return Math.max(qx, qy, qz);
+
+        case 'membrane':
+            along = x * n.x + y * n.y + z * n.z;
+            normal.copy(n).multiplyScalar(along < 0 ? -1 : 1);
+            distance = abs(along) - this.thickness / 2;
+            for (var i = 0; i < holes.length; i++) { //each hole is a cylinder cut through the slab
+                h = holes[i];
+                qx = point.x - h.center.x; qy = point.y - h.center.y; qz = this.flat ? 0 : point.z - h.center.z;
+                along = qx * n.x + qy * n.y + qz * n.z;
+                qx -= along * n.x; qy -= along * n.y; qz -= along * n.z;//across the membrane from the hole's axis
+                radial = Math.sqrt(qx * qx + qy * qy + qz * qz);
+                hole = h.radius - radial;
+                if (hole > distance) { //nearer the rim of the hole than the faces of the slab
+                    distance = hole;
+                    if (radial > 0) normal.set(-qx / radial, -qy / radial, -qz / radial);//toward the hole's axis
+                    else normal.set(0, 0, 0);
+                }
+            }
+            return distance;
+
+        default:
+            normal.set(0, 0, 0);
+            return Infinity;
+    }
+}
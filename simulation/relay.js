@@ -0,0 +1,225 @@
+/**
+ * Emergence Simulation System
+ * @author Marceline Peters / https://github.com/marcinas
+ * see readme for additional credits
+ */
+
+
+
+/**************************************************************/
+/**************************************************************/
+/********************        RELAY        *********************/
+/**************************************************************/
+/**************************************************************/
+
+/**
+ * The main thread's end of a simulation whose physics runs in a web worker (see worker.js and
+ * controls.constant.worker). The worker holds the real simulation; the simulation on the main
+ * thread is kept as a mirror of it for rendering, the guis, and the statistics monitor. Whenever
+ * the mirror is asked to update, the relay asks the worker for the ticks due instead (see
+ * scheduler.js)--unless the worker is still busy with the last ones, in which case the frame is
+ * simply rendered again, so the page stays responsive however long a tick takes.
+ *
+ * Every tick request carries the current controls (so the worker always runs on what the guis
+ * show), any user commands (restarts, clearing quanta, etc.), and the relay's buffers, which are
+ * transferred rather than copied: the worker fills them with every monad's position, velocity,
+ * color, and composition and transfers them back with the tick's statistics, the bond graph's
+ * molecule count and bond summary, and every monad's bonds and counts of any further species (see
+ * Species). The mirror's monads are then set from the buffers (the cloud geometry renders those
+ * very monads) and the mirror's observers are notified, just as if the mirror had processed the
+ * tick itself.
+ *
+ * Note that only position, velocity, color, composition (attractons, repulsons, further species,
+ * radius), and bonds are mirrored, along with the zone field while it is overlaid; anything else
+ * about the mirror's monads, such as their countdowns or impact vectors, is as it was at the start
+ * of the run, and the mirror's bond graph only holds its count and summary (see Molecules.mirrored).
+ *
+ * @param {Emergence} simulation    the main thread simulation to mirror the worker's into
+ */
+function Relay(simulation)
+{
+    var relay = this;
+    var length = simulation.MAX * 3;
+
+    /** Simulation (mirror) memory reference */
+    this.simulation = simulation;
+    /** The worker running the physics */
+    this.worker = new Worker('simulation/worker.js');
+    /** Emergence functions (and their argument) to call in the worker before the next tick, in order */
+    this.commands = [];
+    /** How many times the simulation has been restarted; ticks of earlier runs are discarded */
+    this.restarts = 0;
+    /** Whether a tick has been requested and not yet received */
+    this.pending = false;
+    /** Monad positions (x, y, z for monad 0, then monad 1, ...), null while with the worker */
+    this.positions = new Float32Array(length);
+    /** Monad velocities (laid out as positions), null while with the worker */
+    this.velocities = new Float32Array(length);
+    /** Monad colors (r, g, b, laid out as positions), null while with the worker */
+    this.colors = new Float32Array(length);
+    /** Monad compositions (attractons, repulsons, radius, laid out as positions), null while with the worker */
+    this.quanta = new Float32Array(length);
+
+    this.worker.onmessage = function(event) { relay.receive(event.data); };
+    this.worker.onerror = function(error) { relay.fail(error); };
+    this.worker.postMessage({ type: 'startup', hash: simulation.controls.hash, version: VERSION });
+}
+
+/** Instant statistics that count events since the monitor last displayed them (and reset them) */
+Relay.counters = ['bonds', 'radiation', 'collisions'];
+
+/**
+ * Requests the next ticks from the worker, unless the last request is still being processed.
+ * Called by Emergence.update() in place of processing the tick.
+ *
+ * @param {int} ticks   how many ticks the worker should process before sending them back
+ */
+Relay.prototype.request = function(ticks)
+{   //memory references
+    var controls = this.simulation.controls;
+
+    if (this.pending) return; //worker still busy
+
+    this.worker.postMessage({
+        type: 'tick',
+        ticks: ticks,
+        restarts: this.restarts,
+        commands: this.commands,
+        controls: { generation: controls.generation, dynamic: controls.dynamic, access: controls.access,
+                    visual: controls.visual, debug: controls.debug },
+        positions: this.positions,
+        velocities: this.velocities,
+        colors: this.colors,
+        quanta: this.quanta
+    }, [this.positions.buffer, this.velocities.buffer, this.colors.buffer, this.quanta.buffer]);
+
+    this.positions = this.velocities = this.colors = this.quanta = null;
+    this.commands = [];
+    this.pending = true;
+    controls.step = false;//signal to controls that one tick has passed in case of user step-pausing
+}
+
+/**
+ * Queues a call of an Emergence function in the worker, made before its next tick.
+ *
+ * @param {string} name         the name of the Emergence function
+ * @param {*} [argument]        what to call it with
+ */
+Relay.prototype.command = function(name, argument)
+{
+    this.commands.push({ name: name, argument: argument });
+}
+
+/**
+ * Has the worker restart as the mirror just did. Ticks already requested belong to the old run
+ * and are discarded when they arrive.
+ *
+ * @param {int} id  the id the mirror restarted with
+ */
+Relay.prototype.restart = function(id)
+{
+    this.restarts++;
+    this.command('restartSimulation', id);
+}
+
+/**
+ * Takes back the buffers from a tick the worker has processed and, unless the tick belongs to
+ * an earlier run, sets the mirror from them and notifies its observers.
+ *
+ * @param {Object} data     the tick from the worker (see worker.js)
+ */
+Relay.prototype.receive = function(data)
+{   //memory references
+    var simulation = this.simulation;
+    var monads = simulation.monads;
+    var observers = simulation.observers;
+    var positions = data.positions;
+    var velocities = data.velocities;
+    var colors = data.colors;
+    var quanta = data.quanta;
+    var others = data.others;
+    var bonds = data.bonds;
+
+    //local variables
+    var monad = null;
+    var further = simulation.MAX ? others.length / simulation.MAX : 0;
+    var count = 0;
+    var i = 0, b = 0, s = 0;
+
+    this.positions = positions;
+    this.velocities = velocities;
+    this.colors = colors;
+    this.quanta = quanta;
+    this.pending = false;
+    if (data.restarts !== this.restarts) return; //from before a restart
+
+    for (var p = 0; p < simulation.MAX; p++, i += 3) {
+        monad = monads[p];
+        monad.position.set(positions[i], positions[i+1], positions[i+2]);
+        monad.velocity.set(velocities[i], velocities[i+1], velocities[i+2]);
+        monad.color.setRGB(colors[i], colors[i+1], colors[i+2]);
+        monad.quanta.attractons = quanta[i];
+        monad.quanta.repulsons = quanta[i+1];
+        monad.quanta.radius = quanta[i+2];
+        for (s = 0; s < further && s < monad.quanta.others.length; s++) monad.quanta.others[s] = others[p * further + s];
+        count = bonds[b++];
+        monad.bonds.length = 0;
+        for (s = 0; s < count; s++) monad.bonds.push(bonds[b++]);
+    }
+    simulation.zones.field = data.field;
+    simulation.zones.fieldMax = data.fieldMax;
+
+    this.mirror(data.stats);
+
+    for (var o = 0; o < observers.length; o++)
+        observers[o](simulation);
+}
+
+/**
+ * Sets the mirror's statistics from the worker's. Logs only carry what was added since the
+ * last tick, and counters are added up until the monitor displays them (see Relay.counters).
+ *
+ * @param {Object} stats    the worker's statistics of the tick
+ */
+Relay.prototype.mirror = function(stats)
+{   //memory references
+    var mirror = this.simulation.stats;
+    var counters = Relay.counters;
+
+    //local variables
+    var key = "";
+
+    mirror.tick = stats.tick;
+    for (key in stats.instant)
+        mirror.instant[key] = counters.indexOf(key) > -1 ? mirror.instant[key] + stats.instant[key] : stats.instant[key];
+    for (key in stats.maximum)
+        if (counters.indexOf(key) === -1) mirror.maximum[key] = stats.maximum[key];//the monitor keeps the counters' maximums
+    for (key in stats.events)
+        mirror.events[key] = stats.events[key];
+    for (key in stats.ledger)
+        mirror.ledger[key] = stats.ledger[key];
+    mirror.molecules.count = stats.molecules.count;
+    mirror.molecules.mirrored = stats.molecules.summary;
+    for (key in stats.log)
+        Array.prototype.push.apply(mirror.log[key], stats.log[key]);
+    if (stats.current) mirror.current.monads = stats.current;
+    mirror.current.bonds = stats.molecules.summary;//the bond lifetimes panel shows the latest
+
+    mirror.time.first = false;
+    mirror.render = true;
+}
+
+/**
+ * Gives up on the worker after it has failed and runs the physics on the main thread instead,
+ * starting the run over.
+ *
+ * @param {ErrorEvent} error    what went wrong in the worker
+ */
+Relay.prototype.fail = function(error)
+{
+    debug("always", ["Worker failed, running on the main thread instead", error.message]);
+    this.worker.terminate();
+    this.simulation.relay = null;
+    this.simulation.controls.constant.worker = false;
+    this.simulation.restartSimulation();
+}
@@ -0,0 +1,282 @@
+/**
+ * Emergence Simulation System
+ * @author Marceline Peters / https://github.com/marcinas
+ * see readme for additional credits
+ */
+
+
+
+/**************************************************************/
+/**************************************************************/
+/*******************         RUNNER         *******************/
+/**************************************************************/
+/**************************************************************/
+
+/**
+ * Batch experiment runner, which runs a simulation through every configuration of a parameter
+ * grid a set number of times each and gathers the outcome of every run. The grid maps paths of
+ * generation or dynamic controls (e.g. "dynamic.bonding.mergeRatio") to the list of values each
+ * should take; every combination of values is one configuration. A run lasts for the generation
+ * runtime (which can itself be on the grid), after which its outcome is recorded and the next run
+ * restarts the simulation. If the generation seed is set when the runner starts, runs are seeded
+ * seed, seed+1, seed+2, ... so the whole batch can be replayed; otherwise each run simply gets the
+ * next simulation id.
+ *
+ * The runner attaches itself to the simulation as an observer, so in the browser it follows the
+ * animation loop on its own; headless, execute() drives the simulation until the batch is done.
+ *
+ * Each outcome records the configuration index and its grid values, the run within that
+ * configuration, the simulation id, how many ticks ran, the ticks monads 0 and 1 first collided
+ * and bonded (-1 if never; see stats.events), the total bonds and fissions made, the final distance
+ * between monads 0 and 1, the quanta the world lost and any mass unaccounted for (see stats.ledger),
+ * the molecules left at the end (see molecules.js), the bond lifetimes and break rates of the run
+ * (see Molecules.summarize), and, if asked for, the full statistics logs of the run.
+ *
+ * @param {Emergence} simulation    the simulation to run the batch on
+ * @param {int} runs                how many times to run each configuration (Infinity to farm forever)
+ * @param {Object} [grid]           control paths mapped to the values to try (default no grid)
+ * @param {boolean} [logs]          whether outcomes should keep the statistics logs (default false)
+ */
+function Runner(simulation, runs, grid, logs)
+{
+    grid = grid || {};
+
+    /** Simulation memory reference */
+    this.simulation = simulation;
+    /** How many runs each configuration gets */
+    this.runs = runs;
+    /** Whether outcomes keep the statistics logs of their run */
+    this.logs = logs || false;
+    /** The grid control paths, in the order of each configuration's values */
+    this.paths = Object.keys(grid);
+    /** Every combination of the grid values, each an array parallel to paths (last path varies fastest) */
+    this.configurations = this.expand(grid);
+    /** The first seed of the batch, or 0 if the simulation picks its own (see generation.seed) */
+    this.seed = 0;
+    /** Index of the configuration currently running */
+    this.configuration = 0;
+    /** Index of the run within the current configuration */
+    this.run = 0;
+    /** The outcomes of all finished runs */
+    this.outcomes = [];
+    /** Whether the runner has been attached to the simulation */
+    this.started = false;
+    /** Whether every configuration has had all of its runs */
+    this.done = false;
+
+    var control = null;
+    for (var p = 0; p < this.paths.length; p++) { //only controls that take effect on restart (or sooner) can be varied
+        control = this.resolve(this.paths[p]);
+        if (!/^(generation|dynamic)\./.test(this.paths[p]) || !(control.key in control.parent))
+            throw new Error("Runner: '" + this.paths[p] + "' is not a generation or dynamic control");
+    }
+}
+
+/**
+ * Expands the grid into the list of all its configurations (the cartesian product of its values).
+ * A path given a single value rather than an array simply keeps that value in every configuration.
+ *
+ * @param {Object} grid     control paths mapped to the values to try
+ *
+ * @return {Array[]} every configuration, each an array of values parallel to paths
+ */
+Runner.prototype.expand = function(grid)
+{
+    var configurations = [[]];
+    var expanded = null, values = null;
+
+    for (var p = 0; p < this.paths.length; p++) {
+        values = [].concat(grid[this.paths[p]]);
+        expanded = [];
+        for (var c = 0; c < configurations.length; c++)
+            for (var v = 0; v < values.length; v++)
+                expanded.push(configurations[c].concat([values[v]]));
+        configurations = expanded;
+    }
+    return configurations;
+}
+
+/**
+ * Finds where in controls a grid path points to.
+ *
+ * @param {string} path     a dot-separated path starting from controls (e.g. "generation.runtime")
+ *
+ * @return {Object} the object holding the control (parent) and the control's name in it (key)
+ */
+Runner.prototype.resolve = function(path)
+{
+    var keys = path.split('.');
+    var parent = this.simulation.controls;
+    for (var k = 0; k < keys.length - 1 && parent; k++)
+        parent = parent[keys[k]];
+    return { parent: parent || {}, key: keys[keys.length - 1] };
+}
+
+/**
+ * Attaches the runner to the simulation and restarts it as the first run of the batch.
+ */
+Runner.prototype.start = function()
+{
+    var runner = this;
+    this.seed = this.simulation.controls.generation.seed;
+    this.simulation.observe(function() { runner.check(); });
+    this.started = true;
+    this.restart();
+}
+
+/**
+ * Sets the controls of the current configuration (and the seed of the current run, if the
+ * batch is seeded) and restarts the simulation.
+ */
+Runner.prototype.restart = function()
+{
+    var configuration = this.configurations[this.configuration];
+    var control = null;
+
+    for (var p = 0; p < this.paths.length; p++) {
+        control = this.resolve(this.paths[p]);
+        control.parent[control.key] = configuration[p];
+    }
+    if (this.seed) this.simulation.controls.generation.seed = this.seed + this.outcomes.length;
+    this.simulation.restartSimulation();
+}
+
+/**
+ * Called after every tick of the simulation; once the run has reached its runtime, records
+ * its outcome and either restarts for the next run or, once the batch is done, pauses the
+ * simulation and prints the summary table.
+ */
+Runner.prototype.check = function()
+{
+    var simulation = this.simulation;
+
+    if (this.done || simulation.stats.tick < simulation.runtime) return;
+
+    this.record();
+    if (++this.run >= this.runs) { //configuration has had all its runs
+        this.run = 0;
+        if (++this.configuration >= this.configurations.length) {
+            this.done = true;
+            simulation.controls.animate = false;
+            debug("always",this.table());
+            return;
+        }
+    }
+    this.restart();
+}
+
+/**
+ * Records the outcome of the run that just finished and prints the console research summary
+ * of monads 0 and 1.
+ */
+Runner.prototype.record = function()
+{   //memory references
+    var simulation = this.simulation;
+    var monads = simulation.monads;
+    var stats = simulation.stats;
+    var events = stats.events;
+    var ledger = stats.ledger;
+    var distance = stats.log.distance;
+
+    //local variables
+    var outcome = {
+        configuration: this.configuration,
+        run: this.run,
+        id: simulation.id,
+        ticks: stats.tick,
+        collision: events.collision,
+        bond: events.bond,
+        bonds: events.bonds,
+        fissions: events.fissions,
+        distance: distance[distance.length - 1],
+        lost: ledger.destroyed + ledger.displaced - ledger.reabsorbed,
+        drift: ledger.drift,
+        molecules: stats.molecules.count,
+        bonding: stats.molecules.summarize()
+    };
+    var bonded = 0;
+
+    for (var p = 0; p < this.paths.length; p++)
+        outcome[this.paths[p]] = this.configurations[this.configuration][p];
+    if (this.logs) outcome.logs = stats.log;//replaced, not cleared, on restart
+    this.outcomes.push(outcome);
+
+    for (var o = 0; o < this.outcomes.length; o++)
+        if (this.outcomes[o].bond >= 0) bonded++;
+    debug("always",monads[0].toString());
+    debug("always",monads[1].toString(monads[0]));
+    debug("always","Runs: " + this.outcomes.length + "    Bonds: " + bonded);
+}
+
+/**
+ * Runs the whole batch without returning (headless only--in the browser the animation loop
+ * drives the runner). The runs and the generation runtime must both be finite.
+ *
+ * @return {Runner} the finished runner
+ */
+Runner.prototype.execute = function()
+{
+    var simulation = this.simulation;
+
+    if (!this.started) this.start();
+    if (this.runs === Infinity || simulation.runtime === Infinity)
+        throw new Error("Runner: a batch needs a finite number of runs and a generation runtime");
+
+    while (!this.done) {
+        simulation.update();
+        simulation.stats.frame();
+    }
+    return this;
+}
+
+/**
+ * Summarizes the outcomes with one row per configuration: the grid values, how many runs were
+ * made, how many of them had monads 0 and 1 collide and bond, the average ticks of the first
+ * collision and bond (over the runs they happened in), the average final distance, and the average
+ * quanta lost.
+ *
+ * @return {String} the summary table
+ */
+Runner.prototype.table = function()
+{
+    /** Averages a trait over the outcomes that have it (-1 marks outcomes where it never happened) */
+    function average(outcomes, trait) {
+        var sum = 0, count = 0;
+        for (var o = 0; o < outcomes.length; o++)
+            if (outcomes[o][trait] >= 0) { sum += outcomes[o][trait]; count++; }
+        return count ? Math.round(sum / count * 100) / 100 : "-";
+    }
+
+    //local variables
+    var rows = [this.paths.concat(["runs", "collided", "bonded", "collision", "bond", "distance", "lost"])];
+    var widths = [];
+    var outcomes = null;
+    var table = "";
+    var c = 0, o = 0, r = 0;
+
+    for (c = 0; c < this.configurations.length; c++) {
+        outcomes = [];
+        for (o = 0; o < this.outcomes.length; o++)
+            if (this.outcomes[o].configuration === c) outcomes.push(this.outcomes[o]);
+        if (!outcomes.length) continue;//never ran
+        rows.push(this.configurations[c].concat([outcomes.length,
+                                                 outcomes.filter(function(outcome) { return outcome.collision >= 0; }).length,
+                                                 outcomes.filter(function(outcome) { return outcome.bond >= 0; }).length,
+                                                 average(outcomes, "collision"),
+                                                 average(outcomes, "bond"),
+                                                 average(outcomes, "distance"),
+                                                 average(outcomes, "lost")]));
+    }
+
+    for (c = 0; c < rows[0].length; c++) { //each column is as wide as its widest cell
+        widths[c] = 0;
+        for (r = 0; r < rows.length; r++)
+            widths[c] = Math.max(widths[c], String(rows[r][c]).length + 2);
+    }
+    for (r = 0; r < rows.length; r++) {
+        for (c = 0; c < rows[r].length; c++)
+            table += (rows[r][c] + new Array(widths[c] + 1).join(' ')).slice(0, widths[c]);
+        table += "\n";
+    }
+    return table;
+}
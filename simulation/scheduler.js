@@ -0,0 +1,93 @@
+/**
+ * Emergence Simulation System
+ * @author Marceline Peters / https://github.com/marcinas
+ * see readme for additional credits
+ */
+
+
+
+/**************************************************************/
+/**************************************************************/
+/*******************       SCHEDULER        *******************/
+/**************************************************************/
+/**************************************************************/
+
+/**
+ * Fixed-timestep scheduler for the browser animation loop, which decouples simulated time from
+ * the display's refresh rate. Ticks fall due at a fixed rate (Scheduler.RATE ticks per second
+ * times controls.speed) and every animation frame processes the ticks that have fallen due since
+ * the last: above speed 1 several ticks run per frame (fast-forward), below it a tick only runs
+ * every few frames (slow motion). Frames are rendered, and the statistics monitor refreshed, at
+ * most controls.fps times per second, leaving the rest of the time to ticks.
+ *
+ * Ticks that take longer than the time they simulate fall behind; at most Scheduler.BACKLOG
+ * seconds of them are kept due, and a frame stops processing ticks once its own time is up, so
+ * the simulation slows down rather than the page freezing to catch up. When the physics runs in
+ * a worker, the ticks due are requested all at once whenever the worker is free (see relay.js).
+ *
+ * @param {Emergence} simulation    the simulation to schedule
+ */
+function Scheduler(simulation)
+{
+    /** Simulation memory reference */
+    this.simulation = simulation;
+    /** How many ticks have fallen due and not yet been processed (fractional) */
+    this.due = 0;
+    /** The time (ms) of the last animation frame, 0 before the first */
+    this.last = 0;
+    /** The time (ms) the last rendered frame was due */
+    this.rendered = 0;
+}
+
+/** Ticks per second at speed 1 */
+Scheduler.RATE = 60;
+/** The most seconds of ticks that can fall behind */
+Scheduler.BACKLOG = 0.25;
+/** How early (ms) a frame may arrive and still be rendered on time, as animation frames never arrive exactly on time */
+Scheduler.TOLERANCE = 1;
+
+/**
+ * Processes the ticks due by the given time and decides whether the frame should be rendered.
+ * Called once per animation frame; if it returns true, the caller renders the scene and calls
+ * Statistics.frame(). Pausing and stepping are handled here as well: while paused, only the tick
+ * of a step is due.
+ *
+ * @param {float} now   the time of the animation frame (ms)
+ *
+ * @return {boolean} whether to render the frame
+ */
+Scheduler.prototype.frame = function(now)
+{   //memory references
+    var simulation = this.simulation;
+    var controls = simulation.controls;
+    var time = simulation.stats.time;
+    var relay = simulation.relay;
+    var rate = Scheduler.RATE * controls.speed;
+    var interval = 1000 / controls.fps;
+
+    //local variables
+    var elapsed = this.last ? now - this.last : 0;
+    var ticks = 0;
+
+    this.last = now;
+    if (controls.animate) this.due = Math.min(this.due + elapsed * rate / 1000, Math.max(1, Scheduler.BACKLOG * rate));
+    else this.due = controls.step ? 1 : 0; //paused, unless stepping
+
+    ticks = Math.floor(this.due);
+    if (relay) { //the worker takes all the ticks due at once, once it is free
+        if (ticks && !relay.pending) {
+            simulation.update(ticks);
+            this.due -= ticks;
+        }
+    } else for (var t = 0; t < ticks; t++) {
+        simulation.update();
+        this.due--;
+        if (!time.subsequent) break; //the opening tick of a run must be displayed before physics begins (see Statistics.frame)
+        if ((performance || Date).now() - now > interval) break; //out of time for this frame
+    }
+
+    if (now - this.rendered < interval - Scheduler.TOLERANCE) return false;
+    this.rendered = now - this.rendered < interval * 2 ? this.rendered + interval : now;//keep to the frame rate, unless far behind
+    if (simulation.click) simulation.click--; //if clicked, countdown frames until double-click invalid
+    return true;
+}
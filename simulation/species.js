@@ -0,0 +1,118 @@
+/**
+ * Emergence Simulation System
+ * @author Marceline Peters / https://github.com/marcinas
+ * see readme for additional credits
+ */
+
+
+
+/**************************************************************/
+/**************************************************************/
+/*******************         SPECIES        *******************/
+/**************************************************************/
+/**************************************************************/
+
+/**
+ * The kinds of quanta a world is made of (see generation.monad.species). Every species has a name,
+ * a color that monads are tinted with by their share of it, and a row of the interaction matrix:
+ * matrix[i][j] in [-1,1] is how strongly a quanta of species i is drawn to (1) or pushed from (-1)
+ * a quanta of species j. The matrix need not be symmetric. How two monads bounce off each other is
+ * then weighed over every pair of their quanta (see Monad.getRepulsion).
+ *
+ * The first two species are always the attractons and repulsons, the charged quanta: everything
+ * measured by charge (impact charge, the charge field, the charge statistics) counts them alone,
+ * and any further species are neutral to it. The further species are generated in the share of
+ * their abundance, the attractons and repulsons sharing the rest as generation neutrality decides.
+ *
+ * The default preset is the classic world of blue attractons and red repulsons, where every quanta
+ * is drawn to attractons and pushed from repulsons, whichever its own species. The presets are
+ *
+ *      attracton/repulson  the default
+ *      neutral             with a third, gray species no quanta feels, that feels the others as
+ *                          attractons and repulsons do
+ *      cyclic              with a third, amber species, each species chasing the next and fleeing
+ *                          the one before it (attractons chase repulsons, which chase the third
+ *                          species, which chases attractons)
+ *
+ * @param {Object} spec     the species: { names, colors, matrix, abundance }, colors as [r, g, b]
+ *                          and abundance indexed by species (that of the first two is unused)
+ */
+function Species(spec)
+{
+    /** The name of every species, the attractons and repulsons first */
+    this.names = spec.names.slice();
+    /** How many species there are */
+    this.count = this.names.length;
+    /** The color of every species, as [r, g, b] in [0,1] */
+    this.colors = [];
+    /** How strongly a quanta of species i is drawn to (1) or pushed from (-1) one of species j, as matrix[i][j] */
+    this.matrix = [];
+    /** The share of generated quanta of every species beyond the first two (0 for the first two) */
+    this.abundance = [];
+
+    for (var i = 0; i < this.count; i++) {
+        this.colors.push((spec.colors && spec.colors[i] || [0.5, 0.5, 0.5]).slice());
+        this.matrix.push([]);
+        for (var j = 0; j < this.count; j++)
+            this.matrix[i].push(spec.matrix && spec.matrix[i] && spec.matrix[i][j] || 0);
+        this.abundance.push(i > 1 && spec.abundance ? spec.abundance[i] || 0 : 0);
+    }
+}
+
+/** The species presets that can be chosen by name (see Species.build) */
+Species.PRESETS = {
+    'attracton/repulson': { names: ['attracton', 'repulson'],
+                            colors: [[0, 0, 1], [1, 0, 0]],
+                            matrix: [[1, -1], [1, -1]] },
+    'neutral': { names: ['attracton', 'repulson', 'neutron'],
+                 colors: [[0, 0, 1], [1, 0, 0], [0.6, 0.6, 0.6]],
+                 matrix: [[1, -1, 0], [1, -1, 0], [1, -1, 0]],
+                 abundance: [0, 0, 1/3] },
+    'cyclic': { names: ['attracton', 'repulson', 'chaser'],
+                colors: [[0, 0, 1], [1, 0, 0], [0.9, 0.7, 0]],
+                matrix: [[0, 1, -1], [-1, 0, 1], [1, -1, 0]],
+                abundance: [0, 0, 1/3] }
+};
+
+/** The names of the species presets, as listed in the controls */
+Species.NAMES = Object.keys(Species.PRESETS);
+
+/**
+ * Returns the species of the world: those of the named preset if generation.monad.species is the
+ * name of one (the default preset if it is an unknown name), or those of the spec otherwise.
+ *
+ * @param {string|Object} species   the name of a preset (see Species.PRESETS) or a species spec
+ *
+ * @return {Species} the species
+ */
+Species.build = function(species)
+{
+    if (typeof species === 'string') species = Species.PRESETS[species] || Species.PRESETS['attracton/repulson'];
+    return new Species(species);
+}
+
+/**
+ * Returns a new count of quanta for every species beyond the first two, all zero (see
+ * monad.quanta.others).
+ *
+ * @return {int[]} the zeroed counts
+ */
+Species.prototype.blank = function()
+{
+    return new Array(Math.max(0, this.count - 2)).fill(0);
+}
+
+/**
+ * Returns which species beyond the first two a generated quanta is of, given a uniform random
+ * number, or -1 if it is an attracton or repulson.
+ *
+ * @param {float} ran   a random number in [0,1)
+ *
+ * @return {int} the species, or -1 for a charged quanta
+ */
+Species.prototype.draw = function(ran)
+{
+    for (var s = 2; s < this.count; s++)
+        if ((ran -= this.abundance[s]) < 0) return s;
+    return -1;
+}
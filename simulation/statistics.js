@@ -21,14 +21,17 @@
  * Shell function for creating the statistics object and monitor. Most of the statistics object
  * is created in the .reset() function, since all data gathering must be cleanly purged upon
  * simulation restart; the monitor is consistent across the working reload of the simulation and
- * contains the visuals of the simulation.
+ * contains the visuals of the simulation. Headless statistics gather all the same data but have
+ * no monitor (and so never touch the html document).
+ *
+ * @param {boolean} [headless]  whether to skip creating the monitor (default false)
  */
-function Statistics()
+function Statistics(headless)
 {
     this.reset(); //called to set all traits for first run
-    this.monitor = new Monitor(this); //the visuals
+    this.monitor = headless ? null : new Monitor(this); //the visuals
     this.time.fps = 30;//default value in case FPS not set yet
-    if (MOBILE) this.changeVisibility();
+    if (MOBILE && this.monitor) this.changeVisibility();
 }
 
 /**
@@ -50,6 +53,12 @@ function Statistics()
  *      maximum             used to gather the maximum data point captured for varying statistics
  *                          used by the other categories; may be instantly updated or updated
  *                          periodically, dependent on the statistic
+ *      events              whole-run records of when things first happened and how often, which
+ *                          (unlike instant) are never reset by the monitor; used for research runs
+ *      ledger              whole-run accounting of where every quanta went and of kinetic energy,
+ *                          balanced every tick to show whether (and how far) mass is conserved
+ *      molecules           the bond graph, which monads are bonded into which molecules (see
+ *                          molecules.js), kept up to date by the monads as they bond and unbond
  *      updatediffs         used with diffs to store non-chart based stats update cycle numbers
  */
 Statistics.prototype.reset = function()
@@ -87,6 +96,10 @@ Statistics.prototype.reset = function()
         now: 0,
         /** The time metric the last time fps was updated */
         then: 0,
+        /** The last recorded ticks per second of the simulation (apart from fps, see scheduler.js) */
+        tps: 0,
+        /** The simulation tick the last time tps was updated */
+        tick: 0,
         /** The time metric the last time the statistics update gamut has run */
         last: 0,
         /** A whole damn human second in clock-speak */
@@ -99,6 +112,8 @@ Statistics.prototype.reset = function()
         occupied: this.getDiff(this.cycle),
         /** Exclusive frequency difference for monad size distribution */
         monads: this.getDiff(this.cycle),
+        /** Exclusive frequency difference for bond lifetimes */
+        bonds: this.getDiff(this.cycle)
     };
 
     /** Timed interval recordings (almost all of these are every tick, but some are not) */
@@ -129,13 +144,19 @@ Statistics.prototype.reset = function()
         /** Speed-weighted [0,1] polarity scale for all monads (mass > 1) */
         tempcharge: [],
         /** Computationally heavy measure of the polarity [0,1] of all zones where all zones contribute equally regardless of net mass */
-        moccupancy: []
+        moccupancy: [],
+        /** The total kinetic energy of all particles (see ledger.energy) */
+        energy: [],
+        /** The number of molecules (structures of two or more bonded monads) */
+        molecules: []
     };
 
     /** Instant one-tick evaluations of an entire system event */
     this.current = {
         /** Sorted list of the masses of all monads at a single tick */
-        monads: []
+        monads: [],
+        /** The bond lifetimes and break rates of the run up to a single tick (see Molecules.summarize) */
+        bonds: null
     };
 
     /** Single value evaluations of one measure; most of these are reset every tick or every statistics clock, some are cycled */
@@ -176,6 +197,49 @@ Statistics.prototype.reset = function()
         mass: 0
     };
 
+    /** Whole-run event records (ticks are -1 until the event occurs) */
+    this.events = {
+        /** The tick monad index 0 and monad index 1 first collided */
+        collision: -1,
+        /** The tick monad index 0 and monad index 1 first bonded */
+        bond: -1,
+        /** The total number of bonds made during the run */
+        bonds: 0,
+        /** The total number of fissions (monads splitting in two) during the run */
+        fissions: 0
+    };
+
+    /** Whole-run mass and energy accounts (see audit()); counts are in quanta (units of mass) */
+    this.ledger = {
+        /** The total mass of the world when the run started */
+        initial: 0,
+        /** The attractons in the world at the last tick */
+        attractons: 0,
+        /** The repulsons in the world at the last tick */
+        repulsons: 0,
+        /** The quanta of any further species (see Species) in the world at the last tick */
+        others: 0,
+        /** The kinetic energy (half of mass times speed squared) of all particles at the last tick */
+        energy: 0,
+        /** Kinetic energy taken away by the speed limit, less any given by enforced speeds (see Monad.checkVelocity) */
+        clamped: 0,
+        /** Quanta emitted out of monads as new particles (their mass is moved, not made) */
+        created: 0,
+        /** Quanta taken out of the world: vanished past its walls, absorbed by obstacles, or cleared */
+        destroyed: 0,
+        /** Quanta nullified to make room for new emissions (see Zones.nextFreeSlot) */
+        displaced: 0,
+        /** Displaced quanta returned to the monad that emitted them */
+        reabsorbed: 0,
+        /** Quanta gained (or, if negative, lost) that nothing above accounts for; should always be 0 */
+        drift: 0,
+        /** The tick the world's mass first departed from its initial mass (-1 if it never has) */
+        flagged: -1
+    };
+
+    /** The bond graph and its molecules, started over with every run */
+    this.molecules = new Molecules(this);
+
     /** The maximum value for any one statistic */
     this.maximum = {
         /** The number of zones in the simulation (static) */
@@ -251,11 +315,14 @@ Statistics.prototype.update = function(simulation)
     maximum.mass = Math.max(maximum.mass, instant.mass);
     maximum.monads = Math.max(maximum.monads, instant.monads);
     maximum.velocity = (qmerge ? simulation.MAX : instant.monads) * simulation.controls.dynamic.maxSpeed;
+    this.audit(simulation);
 
     //update logs
+    log.energy.push(this.ledger.energy);
+    log.molecules.push(this.molecules.count);
     log.charge.push(instant.cloud || 0);
     log.mcharge.push(instant.mcharge);
-    log.distance.push(massA > 0 && massB > 0 ? monadA.getToroidDistanceTo(monadB,simulation.zones.size,0) : 0);
+    log.distance.push(massA > 0 && massB > 0 ? monadA.getToroidDistanceTo(monadB,simulation.zones.size) : 0);
     log.distcharge.push((monadA.quanta.attractons + monadB.quanta.attractons) / (massA+massB));
     log.mmass.push(instant.mass);
     log.temperature.push(instant.velocity);
@@ -271,7 +338,8 @@ Statistics.prototype.update = function(simulation)
         var monads = simulation.monads;
         var cmonads = current.monads;
         var zones = simulation.zones.array;
-        var length = simulation.zones.length;
+        var lengths = simulation.zones.lengths;
+        var emptyRow = simulation.zones.emptyRow;
 
         //local variables
         var monad = null;
@@ -284,7 +352,8 @@ Statistics.prototype.update = function(simulation)
         var len = 0;
         var index = 0;
 
-        for (var x = 0; x < length; x++)  for (var y = 0; y < length; y++)   for (var z = 0; z < length; z++) {
+        for (var x = 0; x < lengths.x; x++)  for (var y = 0; y < lengths.y; y++)   for (var z = 0; z < lengths.z; z++) {
+            if (zones[x][y] === emptyRow) break;//no zone in the row is occupied
             zone = zones[x][y][z];
             len = zone[0];
             if (len > 0) {
@@ -322,10 +391,97 @@ Statistics.prototype.update = function(simulation)
         cmonads.sort(function(a,b) {return a.mass-b.mass || a.index-b.index}); //sort by weight then index
     }
 
+    //update computationally heavy statistics: bond lifetimes
+    if (display || this.checkTick(updatediffs.bonds))
+        current.bonds = this.molecules.summarize();
+
     this.tick++;
     this.render = true;//prevents stats render until at least one update gamut has commenced
 }
 
+/**
+ * Balances the ledger for the tick: totals the attractons, repulsons, quanta of further species, and
+ * kinetic energy of every particle, and checks the world's mass against its initial mass less the
+ * quanta destroyed and displaced (and not reabsorbed) so far. The first time the mass departs from its initial mass,
+ * and every time the difference is not accounted for (drift), a warning is printed.
+ *
+ * @param {Object} simulation        the simulation from which to read data from
+ */
+Statistics.prototype.audit = function(simulation)
+{   //memory references
+    var ledger = this.ledger;
+    var monads = simulation.monads;
+
+    //local variables
+    var quanta = null;
+    var vel = null;
+    var attractons = 0, repulsons = 0, others = 0, mass = 0, drift = 0;
+    var energy = 0.0;
+
+    for (var p = 0; p < simulation.MAX; p++) {
+        quanta = monads[p].quanta;
+        if (quanta.radius === 0) continue;//nonexistent
+        vel = monads[p].velocity;
+        mass = monads[p].getMass();
+        attractons += quanta.attractons;
+        repulsons += quanta.repulsons;
+        others += mass - quanta.attractons - quanta.repulsons;
+        energy += 0.5 * mass * (vel.x * vel.x + vel.y * vel.y + vel.z * vel.z);
+    }
+    mass = attractons + repulsons + others;
+    if (this.time.first) ledger.initial = mass;
+
+    ledger.attractons = attractons;
+    ledger.repulsons = repulsons;
+    ledger.others = others;
+    ledger.energy = energy;
+    drift = mass - (ledger.initial - ledger.destroyed - ledger.displaced + ledger.reabsorbed);
+
+    if (ledger.flagged < 0 && mass !== ledger.initial) {
+        ledger.flagged = this.tick;
+        debug("always", "Ledger: mass " + ledger.initial + " -> " + mass + " at tick " + this.tick +
+                        " (destroyed " + ledger.destroyed + ", displaced " + ledger.displaced + ", reabsorbed " + ledger.reabsorbed + ")");
+    }
+    if (drift !== ledger.drift) {
+        debug("always", "Ledger: " + (drift - ledger.drift) + " quanta unaccounted for at tick " + this.tick + " (drift " + drift + ")");
+        ledger.drift = drift;
+    }
+}
+
+/**
+ * Advances the statistics clock by one frame and, once at least one tick has been gathered,
+ * lets the monitor (if any) render before marking the frame as drawn. This must be called once
+ * after every update of the simulation (emergence calls it itself for the very first tick), as
+ * it is also what tells the simulation that the opening stats-only tick has been displayed and
+ * physics may begin (see time.subsequent).
+ */
+Statistics.prototype.frame = function()
+{   //memory references
+    var time = this.time;
+
+    //advance clock and set time
+    time.clock++;
+    time.now = (performance || Date).now();
+
+    //measure frame and tick rates every second (the monitor displays them once clock is reset)
+    if (time.now > time.then + time.second) {
+        time.fps = time.second * time.clock / (time.now - time.then);
+        time.tps = time.second * (this.tick - time.tick) / (time.now - time.then);
+        time.then = time.now;
+        time.tick = this.tick;
+        time.clock = 0;
+    }
+
+    if (this.render) {//allowed to render
+        if (this.monitor) this.monitor.update();
+
+        //change time values and some stat rendering values
+        this.clear = this.redraw = false;
+        if (!time.first) time.subsequent = true;
+        time.last = time.now;
+    }
+}
+
 /**
  * Checks whether a given frequency difference should allow an update or not.
  *
@@ -364,7 +520,7 @@ Statistics.prototype.getDiff = function(freq)
     var diffs = this.diffs;
     var index = diffs.indexOf(diff);
 
-    do diff = Math.ceil(Math.random() * (freq-1));
+    do diff = Math.ceil(RANDOM.visual.next() * (freq-1));
     while (diffs.indexOf(diff) > -1 || ++count < freq);
 
     if (index > -1) diffs[index] = diff;
@@ -441,13 +597,20 @@ function Monitor(stats)
     var lHeight = 68;
     var lWidth = 206;
 
-    /** Calculates how many frames are rendered per second (also how many ticks are processed) */
+    /** Displays how many frames are rendered per second (see Statistics.frame) */
     addPanel(c2,new Panel(stats,0,
         "FPS", "#0ff", "#002", sHeight+1,sWidth,0,null,
             function() { var time = this.stats.time;
-                if (time.now <= time.then + time.second) return;
-                var fps = time.fps = time.second * time.clock / (time.now - time.then);
-                this.update(fps, 120); time.then = time.now; time.clock = 0;
+                if (time.clock) return;
+                this.update(time.fps, 120);
+            }));
+
+    /** Displays how many ticks are processed per second, which the speed control decouples from frames */
+    addPanel(c2,new Panel(stats,0,
+        "TPS", "#ff0", "#220", sHeight,sWidth,0,null,
+            function() { var time = this.stats.time;
+                if (time.clock) return;
+                this.update(time.tps, Math.max(120, time.tps));
             }));
 
     /** Calculates the number of milliseconds that have passed since the last update */
@@ -614,6 +777,16 @@ function Monitor(stats)
                                            pixel.charge);
                 } this.update(instant.mass / instant.monads,max,-1); }));
 
+    /** Displays how long broken bonds lasted (a histogram of lifetimes, shortest on the left) and their mean lifetime */
+    addPanel(c4,new Panel(stats,stats.getDiff(freq),
+        "Bond Lifetimes", "#f7f", "#212", lHeight+50, lWidth, 0,null,
+            function() { var bonds = this.stats.current.bonds; if (!bonds) return;
+                var width = this.screen.width; var histogram = bonds.histogram; var floor = Math.floor;
+                var max = Math.max.apply(null, histogram) || 1;
+                for (var i = 0; i < width; i++)
+                    this.update(histogram[floor((i/width)*histogram.length)], max);
+                this.update(bonds.lifetime, Math.max(bonds.lifetime, bonds.width * histogram.length)); }));
+
     /** Blank right side panel so when controls are fully opened it looks flush with the side */
     addPanel(c5,new Panel(stats,Infinity," ", "#ff0", "#000", 1080,15));
 
@@ -626,11 +799,12 @@ function Monitor(stats)
 
 /**
  * Updates the simulation constantly and asynchronously (except for certain ticks; see statistics
- * for more details). Updates internal statistics-only time values and then cycles through all
- * panels and charts that have defined functions--any chart whose check tick operation returns
- * valid will be updated this statistics clock tick (this can be anywhere from constant/every
- * clock tick to occasionally to once or never). Most of the original monitor workload has been
- * ported into individual panels and charts and the contained statistics object.
+ * for more details). Called by statistics every clock tick it is allowed to render (see
+ * Statistics.frame(), which also keeps the time values); cycles through all panels and charts
+ * that have defined functions--any chart whose check tick operation returns valid will be updated
+ * this statistics clock tick (this can be anywhere from constant/every clock tick to occasionally
+ * to once or never). Most of the original monitor workload has been ported into individual
+ * panels and charts and the contained statistics object.
  */
 Monitor.prototype.update = function()
 {   //memory references
@@ -638,27 +812,14 @@ Monitor.prototype.update = function()
     var time = stats.time;
     var check = this.check;
 
-    var display = false;
-
-    //advance clock and set time
-    time.clock++;
-    time.now = (performance || Date).now();
-
-    if (stats.render) {//allowed to render
-        //if any of these are true, all panels should be forced to render
-        display = stats.clear || time.first || !time.subsequent || stats.redraw;
+    //if any of these are true, all panels should be forced to render
+    var display = stats.clear || time.first || !time.subsequent || stats.redraw;
 
-        for (var panel = 0; panel < check.length; panel++) //cycle through all panels
-            if (display || stats.checkTick(check[panel].freq))//check whether to process update
-                check[panel].process();//update if necessary
+    for (var panel = 0; panel < check.length; panel++) //cycle through all panels
+        if (display || stats.checkTick(check[panel].freq))//check whether to process update
+            check[panel].process();//update if necessary
 
-        if (DEBUG) debug("stats",stats);
-
-        //change time values and some stat rendering values
-        stats.clear = stats.redraw = false;
-        if (!time.first) time.subsequent = true;
-        time.last = time.now;
-    }
+    if (DEBUG) debug("stats",stats);
 }
 
 
@@ -0,0 +1,150 @@
+/**
+ * Emergence Simulation System
+ * @author Marceline Peters / https://github.com/marcinas
+ * see readme for additional credits
+ */
+
+
+
+/**************************************************************/
+/**************************************************************/
+/*******************          STORE         *******************/
+/**************************************************************/
+/**************************************************************/
+
+/**
+ * Structure-of-arrays storage for the monads' data, used when controls.generation.packed is on.
+ * Instead of every monad keeping its composition, radius, and vectors in objects of its own, each
+ * is kept in one typed array for all monads, indexed by monad (slot) index--vectors take three
+ * consecutive values (x, y, z for monad 0, then monad 1, ...). The monads stay the same to the rest
+ * of the simulation: their quanta, position, velocity, impacts, and spare vectors become views that read
+ * and write the store (see StoredVector and StoredQuanta), so nothing using the Monad API needs to change.
+ *
+ * Packing keeps the numbers out of the garbage collected heap, and lets whole arrays be copied
+ * or transferred at once, e.g. to a worker or into a GPU texture.
+ *
+ * @param {int} maximum     how many monads to store (the simulation MAX)
+ * @param {int} [species]   how many species of quanta there are (see Species; 2 by default)
+ */
+function Store(maximum, species)
+{
+    /** How many monads are stored */
+    this.maximum = maximum;
+    /** How many species beyond attractons and repulsons every monad has counts of */
+    this.further = Math.max(0, (species || 2) - 2);
+    /** Number of attractons of every monad */
+    this.attractons = new Int32Array(maximum);
+    /** Number of repulsons of every monad */
+    this.repulsons = new Int32Array(maximum);
+    /** Number of quanta of every further species of every monad (further consecutive values per monad) */
+    this.others = new Int32Array(maximum * this.further);
+    /** Radius of every monad */
+    this.radius = new Float64Array(maximum);
+    /** Position of every monad */
+    this.position = new Float64Array(maximum * 3);
+    /** Velocity of every monad */
+    this.velocity = new Float64Array(maximum * 3);
+    /** Impact vector of every monad */
+    this.impact = new Float64Array(maximum * 3);
+    /** Impact vector of the attractons alone of every monad */
+    this.attractive = new Float64Array(maximum * 3);
+    /** Impact vector of the repulsons alone of every monad */
+    this.repulsive = new Float64Array(maximum * 3);
+    /** Spare vector of every monad (see Monad.check) */
+    this.check = new Float64Array(maximum * 3);
+    /** Out of bounds vector of every monad (see Monad.oob) */
+    this.oob = new Float64Array(maximum * 3);
+    /** The counts of further species every monad shares while there are none (see StoredQuanta.others) */
+    this.none = this.others.subarray(0, 0);
+}
+
+
+
+/**************************************************************/
+/**************************************************************/
+/*******************          VIEWS         *******************/
+/**************************************************************/
+/**************************************************************/
+
+/**
+ * A three.js vector whose x, y, and z are three consecutive values of a store array. Every Vector3
+ * function works on it as usual (they only ever use x, y, and z), and so does the renderer when
+ * the vector is a geometry vertex.
+ *
+ * @param {Float64Array} array  the store array (position, velocity, an impact, or a spare vector)
+ * @param {int} index           the index of the monad whose vector it is
+ */
+function StoredVector(array, index)
+{
+    /** The store array */
+    this.array = array;
+    /** Where the vector's x is in the array (y and z follow) */
+    this.offset = index * 3;
+}
+
+StoredVector.prototype = Object.create(THREE.Vector3.prototype);
+StoredVector.prototype.constructor = StoredVector;
+
+Object.defineProperties(StoredVector.prototype, {
+    x: { get: function() { return this.array[this.offset]; },
+         set: function(x) { this.array[this.offset] = x; } },
+    y: { get: function() { return this.array[this.offset + 1]; },
+         set: function(y) { this.array[this.offset + 1] = y; } },
+    z: { get: function() { return this.array[this.offset + 2]; },
+         set: function(z) { this.array[this.offset + 2] = z; } }
+});
+
+/**
+ * Returns an ordinary (unstored) copy of the vector, as a copy must not share the store.
+ *
+ * @return {Vector3} the copy
+ */
+StoredVector.prototype.clone = function()
+{
+    return new THREE.Vector3(this.x, this.y, this.z);
+}
+
+/**
+ * A monad's quanta object whose attractons, repulsons, and radius are kept in the store (and whose
+ * impact vectors are StoredVectors, and whose counts of any further species are a view of the store's
+ * others). The countdowns, emit, and charge are plain values, as with
+ * unstored monads.
+ *
+ * @param {Store} store     the store
+ * @param {int} index       the index of the monad whose quanta it is
+ */
+function StoredQuanta(store, index)
+{
+    /** Store memory reference */
+    this.store = store;
+    /** Index of the monad in the store */
+    this.index = index;
+    /** Numbers of quanta of every species beyond attractons and repulsons (see Species) */
+    this.others = store.further ? store.others.subarray(index * store.further, (index + 1) * store.further) : store.none;
+    /** Countdown until monad recolor; if negative, also prevents monad from colliding until >=0 */
+    this.countdown = 0;
+    /** Over-color countdown, which overrides regular quanta.countdown color parameters */
+    this.mountdown = 0;
+    /** The number of quanta that must be emitted by the monad this tick */
+    this.emit = 0;
+    /** The charge in range [-1,1] of the last impact emission */
+    this.charge = 0;
+    /** Impact vector in x-y-z of where the monad attempts to emit from */
+    this.impact = new StoredVector(store.impact, index);
+    /** Impact vector of the attractons alone (the blue vector) */
+    this.attractive = new StoredVector(store.attractive, index);
+    /** Impact vector of the repulsons alone (the red vector) */
+    this.repulsive = new StoredVector(store.repulsive, index);
+}
+
+Object.defineProperties(StoredQuanta.prototype, {
+    attractons: { enumerable: true,
+                  get: function() { return this.store.attractons[this.index]; },
+                  set: function(attractons) { this.store.attractons[this.index] = attractons; } },
+    repulsons: { enumerable: true,
+                 get: function() { return this.store.repulsons[this.index]; },
+                 set: function(repulsons) { this.store.repulsons[this.index] = repulsons; } },
+    radius: { enumerable: true,
+              get: function() { return this.store.radius[this.index]; },
+              set: function(radius) { this.store.radius[this.index] = radius; } }
+});
@@ -0,0 +1,347 @@
+/**
+ * Emergence Simulation System
+ * @author Marceline Peters / https://github.com/marcinas
+ * see readme for additional credits
+ */
+
+
+
+/**************************************************************/
+/**************************************************************/
+/*******************       SYNCHRONY        *******************/
+/**************************************************************/
+/**************************************************************/
+
+/**
+ * The synchronous (order-independent) tick update, used in place of the regular one-monad-after-
+ * another loop of Emergence.update() when controls.dynamic.toggle.synchronous is on. In the regular
+ * loop, a monad processed early in the tick can move, bounce, or merge monads that are processed
+ * later, so what happens in a tick depends on the order of the monads array. Here, every monad
+ * reads the previous tick's state and the changes are written into a second buffer, so that all
+ * monads are in effect processed at once.
+ *
+ * The tick is split into phases, each done for every monad before the next begins:
+ *      1.  statistics, countdowns, and escapes (as in the regular loop), plus a copy of every
+ *          velocity--the previous tick's velocities, which all interactions read from
+ *      2.  collision detection, which only collects the colliding pairs (see collide())
+ *      3.  bond checks, whose pushing and pulling is only collected (see displace()) and whose
+ *          collapses are queued as pairs (see collapse())
+ *      4.  resolution of the pairs (see resolve())
+ *      5.  fission and emission; daughters and quanta made this tick are not processed until the next
+ *      6.  external force fields (see Monad.updateFields)
+ *      7.  integration: collected displacements and velocities are applied to positions
+ *
+ * Collision detection and integration are done on the GPU instead if the simulation is accelerated
+ * (see accelerator.js).
+ *
+ * Positions and compositions are only written once every read of them is done (merges aside,
+ * which the resolution keeps apart--see resolve()), so only velocities need the second buffer:
+ * the monads' own velocities collect the changes while this object keeps the previous ones.
+ *
+ * @param {Emergence} simulation    the simulation whose monads to update
+ */
+function Synchrony(simulation)
+{
+    /** Simulation memory reference */
+    this.simulation = simulation;
+    /** Per monad, how it takes part in the current tick (see Synchrony.states) */
+    this.state = new Uint8Array(simulation.MAX);
+    /** Per monad, whether it has been merged or frozen this tick (and so can't interact further) */
+    this.claimed = new Uint8Array(simulation.MAX);
+    /** Every monad's velocity at the start of the tick (x, y, z for monad 0, then monad 1, ...) */
+    this.velocities = new Float64Array(simulation.MAX * 3);
+    /** Every monad's bond displacement collected this tick (laid out as velocities) */
+    this.shifts = new Float64Array(simulation.MAX * 3);
+    /** The interacting pairs collected this tick, each { a, b, depth, time, collapse } with index a < b */
+    this.pairs = [];
+}
+
+/** How a monad takes part in a tick: not at all, only moving, or also interacting with others */
+Synchrony.states = { NONE: 0, MOVE: 1, INTERACT: 2 };
+
+/**
+ * Processes one tick of every monad at once (see above). Called by Emergence.update() in place of
+ * its monad loop, after it has reset the instant statistics.
+ *
+ * @param {boolean} run     whether physics is running yet (if not, only statistics are gathered)
+ * @param {int} buffer      the amount of free particles emission shouldn't take up
+ */
+Synchrony.prototype.update = function(run, buffer)
+{   //memory references
+    var random = RANDOM.physics.next;
+    var simulation = this.simulation;
+    var monads = simulation.monads;
+    var zones = simulation.zones;
+    var toggle = simulation.controls.dynamic.toggle;
+    var fission = simulation.controls.dynamic.fission;
+    var qcollide = toggle.quantaCollide;
+    var rqcollide = toggle.quantaRandCollide;
+    var state = this.state;
+    var claimed = this.claimed;
+    var velocities = this.velocities;
+    var shifts = this.shifts;
+    var states = Synchrony.states;
+
+    //local variables
+    var monad = null, quanta = null, vel = null, bonds = null;
+    var interact = false;
+    var accelerated = false;
+    var slot = 0;
+    var p = 0, b = 0, i = 0;
+
+    this.pairs.length = 0;
+
+    //statistics, countdowns, escapes, and the previous tick's velocities
+    for (p = 0; p < simulation.MAX; p++) {
+        monad = monads[p];
+        quanta = monad.quanta;
+        state[p] = states.NONE;
+        claimed[p] = 0;
+        if (quanta.radius === 0) continue;//nonexistent
+
+        simulation.measure(monad);
+        monad.absorptions = 0;
+        if (!run) continue;
+
+        i = p * 3;
+        vel = monad.velocity;
+        velocities[i] = vel.x; velocities[i+1] = vel.y; velocities[i+2] = vel.z;
+        shifts[i] = shifts[i+1] = shifts[i+2] = 0;
+        state[p] = states.MOVE;
+
+        interact = true;
+        if (quanta.countdown < 0) //quanta has recently been emitted
+            interact = monad.checkEscape(monads[monad.parentIndex]);
+        if (!interact) continue;
+
+        if (quanta.mountdown > 0)//medium term colors
+            if (--quanta.mountdown === 0 && quanta.countdown === 0)
+                monad.updateColor();
+        if (quanta.countdown > 0)//short term colors
+            if (--quanta.countdown === 0)
+                monad.updateColor();
+
+        if (qcollide || monad.getMass() > 1 || (rqcollide && random() < 0.125))
+            state[p] = states.INTERACT;
+    }
+    if (!run) return;
+
+    //collision detection (only collects the pairs), on the GPU if accelerated
+    if (toggle.collision) {
+        zones.synchrony = this;
+        if (!(simulation.accelerator && simulation.accelerator.detect()))
+            for (p = 0; p < simulation.MAX; p++)
+                if (state[p] === states.INTERACT)
+                    zones.checkCollisions(monads[p]);
+        zones.synchrony = null;
+    }
+
+    //bond checks (only collect displacements and collapses)
+    if (toggle.bonding)
+        for (p = 0; p < simulation.MAX; p++) {
+            if (state[p] !== states.INTERACT) continue;
+            bonds = monads[p].bonds;
+            for (b = 0; b < bonds.length; b++)
+                monads[p].checkBond(monads[bonds[b]], this);
+        }
+
+    this.resolve();
+
+    //fission and emission, into slots that won't be processed until next tick
+    if (toggle.emission || fission.enabled)
+        for (p = 0; p < simulation.MAX; p++) {
+            monad = monads[p];
+            quanta = monad.quanta;
+            if (state[p] !== states.INTERACT || quanta.radius === 0) continue;
+            if (!toggle.displacement && zones.free <= buffer) break;//no room for more new particles
+            if (fission.enabled && monad.checkFission()) {
+                slot = zones.nextFreeSlot(buffer);
+                if (!monad.fission(monads[slot])) state[slot] = states.NONE;
+            }
+            if (toggle.emission && monad.checkEmission())
+                while (quanta.emit) { //there are quanta remaining that should be emitted
+                    slot = zones.nextFreeSlot(buffer);
+                    if (monad.emit(monads[slot])) break;//returns true if passed an unemittable particle
+                    state[slot] = states.NONE;
+                }
+        }
+
+    //external force fields, which every moving monad feels from where it was at the start of the tick
+    for (p = 0; p < simulation.MAX; p++)
+        if (state[p] !== states.NONE && monads[p].quanta.radius > 0) monads[p].updateFields();
+
+    //integration, whose moving part is done on the GPU if accelerated
+    accelerated = simulation.accelerator !== null && simulation.accelerator.integrate();
+    for (p = 0; p < simulation.MAX; p++) {
+        monad = monads[p];
+        quanta = monad.quanta;
+        if (state[p] === states.NONE || quanta.radius === 0) continue;
+
+        if (!accelerated) {
+            i = p * 3;
+            monad.position.x += shifts[i]; monad.position.y += shifts[i+1]; monad.position.z += shifts[i+2];
+            monad.checkVelocity(-1,false);//bounces of several pairs may add up past the maximum speed
+        }
+
+        //countdowns and positional update based on velocity
+        if (quanta.mountdown < 0) quanta.mountdown = 0;
+        if (quanta.countdown === 0 && monad.getMass() > 1) quanta.countdown++;
+        if (!accelerated) monad.updatePosition();
+    }
+}
+
+/**
+ * Resolves the pairs collected this tick. Pairs are resolved earliest first if collisions are
+ * continuous (see Zones.sweep) and deepest overlap first otherwise (queued collapses before all
+ * collisions), ties going to the pair with the lower indexes, and a pair
+ * collected more than once is only resolved once. Merges and freezes claim both of their monads:
+ * a monad can only be merged (or frozen) once a tick, and any later pair with a claimed monad is
+ * skipped--the monads are left overlapping and meet again next tick. Since a merge moves and
+ * recomposes only the monads it claims, no other pair ever reads a merged monad.
+ *
+ * Interactions are carried out by the regular monad functions, from the previous tick's velocities;
+ * what each one changes is added onto whatever earlier pairs changed (see interact()).
+ *
+ * Which interaction a collision pair gets follows the regular loop (see Zones.collide), except
+ * that under the 'auto' rule it must not depend on which of the two found the collision: monads
+ * bond only if both are heavier than quanta, and otherwise merge, absorb, or bounce. Activation
+ * energies (see Monad.getReaction) are measured from the previous tick's velocities. Pairs that
+ * merge or annihilate are claimed, as are frozen pairs, which do nothing else this tick.
+ */
+Synchrony.prototype.resolve = function()
+{   //memory references
+    var monads = this.simulation.monads;
+    var toggle = this.simulation.controls.dynamic.toggle;
+    var zones = this.simulation.zones;
+    var state = this.state;
+    var claimed = this.claimed;
+    var pairs = this.pairs;
+    var max = this.simulation.MAX;
+
+    //local variables
+    var resolved = {};
+    var pair = null, monad = null, other = null;
+    var reaction = null;
+    var rule = '';
+    var m1 = 0, m2 = 0;
+    var key = 0;
+
+    pairs.sort(function(p1, p2) {
+        return (p2.collapse - p1.collapse) || (p1.time - p2.time) || (p2.depth - p1.depth) || (p1.a - p2.a) || (p1.b - p2.b);
+    });
+
+    for (var p = 0; p < pairs.length; p++) {
+        pair = pairs[p];
+        key = pair.a * max + pair.b;
+        if (resolved[key]) continue;//found by both monads
+        resolved[key] = true;
+
+        monad = monads[pair.a];
+        other = monads[pair.b];
+        if (claimed[pair.a] || claimed[pair.b] || !monad.quanta.radius || !other.quanta.radius) continue;
+        m1 = monad.getMass();
+        m2 = other.getMass();
+
+        if (pair.collapse) { //too close a bond, merge (see checkBond)
+            claimed[pair.a] = claimed[pair.b] = 1;
+            this.interact(monad, other, "unbond");
+        } else if ((rule = zones.getRule(monad, other)) !== 'auto') {
+            if (rule === 'pass' || (rule === 'bond' && monad.bonds.indexOf(other.index) > -1)) continue;//through each other
+            if (rule === 'freeze') {
+                claimed[pair.a] = claimed[pair.b] = 1;
+                state[pair.a] = state[pair.b] = Synchrony.states.NONE;
+                monad.freeze(other);
+            } else {
+                if (rule === 'merge' || rule === 'annihilate') claimed[pair.a] = claimed[pair.b] = 1;
+                this.interact(monad, other, rule);
+            }
+        } else if (toggle.freeze) {
+            claimed[pair.a] = claimed[pair.b] = 1;
+            state[pair.a] = state[pair.b] = Synchrony.states.NONE;//frozen monads do nothing else this tick
+            monad.freeze(other);
+        } else if ((reaction = monad.getReaction(other, this.velocities))) {
+            if (reaction === 'merge') claimed[pair.a] = claimed[pair.b] = 1;
+            this.interact(monad, other, reaction);
+        } else if (toggle.bonding && m1 > 1 && m2 > 1) {
+            this.interact(monad, other, "bond");
+        } else if (toggle.merging || (toggle.quantaAbsorption && (m1 === 1 ^ m2 === 1))) {
+            claimed[pair.a] = claimed[pair.b] = 1;
+            this.interact(monad, other, "merge");
+        } else this.interact(monad, other, "bounce");
+    }
+}
+
+/**
+ * Has two monads interact through one of their monad functions as if no other pair had interacted
+ * yet this tick: both velocities are set back to the previous tick's for the interaction, and then
+ * what it changed is added onto what earlier interactions had changed.
+ *
+ * @param {Monad} monad     the monad whose function to call
+ * @param {Monad} other     the monad to pass it
+ * @param {string} action   the name of the function, called as monad[action](other, true)
+ */
+Synchrony.prototype.interact = function(monad, other, action)
+{   //memory references
+    var velocities = this.velocities;
+    var v1 = monad.velocity;
+    var v2 = other.velocity;
+    var i1 = monad.index * 3;
+    var i2 = other.index * 3;
+
+    //local variables (what earlier interactions changed)
+    var x1 = v1.x - velocities[i1], y1 = v1.y - velocities[i1+1], z1 = v1.z - velocities[i1+2];
+    var x2 = v2.x - velocities[i2], y2 = v2.y - velocities[i2+1], z2 = v2.z - velocities[i2+2];
+
+    v1.set(velocities[i1], velocities[i1+1], velocities[i1+2]);
+    v2.set(velocities[i2], velocities[i2+1], velocities[i2+2]);
+
+    monad[action](other, true);
+
+    if (monad.quanta.radius) { v1.x += x1; v1.y += y1; v1.z += z1; }//not merged away
+    if (other.quanta.radius) { v2.x += x2; v2.y += y2; v2.z += z2; }
+}
+
+/**
+ * Collects a pair of monads found to collide this tick (see Zones.collideInZone).
+ *
+ * @param {Monad} monad     one of the monads
+ * @param {Monad} other     the other
+ * @param {float} depth     how far their volumes overlap
+ * @param {float} [time]    when in the tick they meet, if collisions are continuous (0 by default)
+ */
+Synchrony.prototype.collide = function(monad, other, depth, time)
+{
+    this.pairs.push({ a: Math.min(monad.index, other.index), b: Math.max(monad.index, other.index), depth: depth, time: time || 0, collapse: false });
+}
+
+/**
+ * Queues the collapse of a bond that got too close (see Monad.checkBond), to be merged during
+ * resolution.
+ *
+ * @param {Monad} monad     one of the bonded monads
+ * @param {Monad} other     the other
+ *
+ * @return {boolean} false, as neither monad is compromised until resolution
+ */
+Synchrony.prototype.collapse = function(monad, other)
+{
+    var radi = monad.quanta.radius + other.quanta.radius;
+    this.pairs.push({ a: Math.min(monad.index, other.index), b: Math.max(monad.index, other.index),
+                      depth: radi - monad.getToroidDistanceTo(other, this.simulation.zones.size), time: 0, collapse: true });
+    return false;
+}
+
+/**
+ * Collects a bond displacement of a monad (see Monad.checkBond), which is only applied to its
+ * position at the end of the tick.
+ *
+ * @param {Monad} monad     the monad to displace
+ * @param {Vector3} shift   how far to displace it
+ */
+Synchrony.prototype.displace = function(monad, shift)
+{
+    var i = monad.index * 3;
+    this.shifts[i] += shift.x;
+    this.shifts[i+1] += shift.y;
+    this.shifts[i+2] += shift.z;
+}
@@ -0,0 +1,173 @@
+/**
+ * Emergence Simulation System
+ * @author Marceline Peters / https://github.com/marcinas
+ * see readme for additional credits
+ */
+
+
+
+/**************************************************************/
+/**************************************************************/
+/*******************         WORKER         *******************/
+/**************************************************************/
+/**************************************************************/
+
+// Web worker only: the worker's end of a simulation whose physics runs off the main thread (see
+// relay.js for the main thread's end). The worker holds a headless simulation of its own and
+// processes one tick of it for every tick the relay requests.
+
+/** Globals the simulation scripts expect from the html document (VERSION is sent on startup) */
+var MOBILE = false;
+var DEBUG = false;
+var VERSION = null;
+
+importScripts('../js/three.js',
+              'basic.js',
+              'statistics.js',
+              'molecules.js',
+              'controls.js',
+              'obstacle.js',
+              'species.js',
+              'zones.js',
+              'store.js',
+              'monad.js',
+              'synchrony.js',
+              'emergence.js');
+
+/** The worker's simulation, named as on the main thread since the scripts refer to it directly (see debug()) */
+var statistics = null;
+var emergence = null;
+
+/** How much of each statistics log has already been sent to the relay */
+var sent = {};
+/** The statistics current monads last sent to the relay */
+var current = null;
+
+/**
+ * Copies every value of the source onto the target, object by object, so that the target's
+ * objects (which the simulation holds memory references to) are kept.
+ *
+ * @param {Object} target   the object to copy onto
+ * @param {Object} source   the object to copy from
+ */
+function assign(target, source)
+{
+    for (var key in source)
+        if (source[key] !== null && typeof source[key] === 'object' && typeof target[key] === 'object')
+            assign(target[key], source[key]);
+        else target[key] = source[key];
+}
+
+/**
+ * Processes the ticks requested by the relay: takes on the relay's controls, carries out its
+ * commands, updates the simulation tick by tick, and transfers back the relay's buffers filled
+ * with every monad's position, velocity, color, and composition along with the statistics of the
+ * ticks, the bond graph's molecule count and bond summary, every monad's bonds and counts of any
+ * further species (see Species), and a copy of the zone field, if it is to be overlaid. The bonds
+ * are laid out monad by monad as how many there are followed by the index of every partner.
+ *
+ * @param {Object} data     the tick request (see Relay.request())
+ */
+function tick(data)
+{   //memory references
+    var monads = emergence.monads;
+    var positions = data.positions;
+    var velocities = data.velocities;
+    var colors = data.colors;
+    var quanta = data.quanta;
+
+    //local variables
+    var monad = null;
+    var command = null;
+    var field = null;
+    var further = emergence.zones.species.count - 2;
+    var others = null, bonds = null;
+    var log = {};
+    var key = "";
+    var c = 0, i = 0, b = 0, s = 0;
+
+    assign(emergence.controls, data.controls);
+    for (c = 0; c < data.commands.length; c++) {
+        command = data.commands[c];
+        emergence[command.name](command.argument);
+        if (command.name === 'restartSimulation') { //statistics start over
+            sent = {};
+            current = null;
+        }
+    }
+
+    for (var t = 0; t < data.ticks; t++) {
+        emergence.controls.step = true;//exactly the ticks requested, even if paused
+        emergence.update();
+        statistics.frame();
+    }
+
+    if (emergence.store) { //packed positions and velocities are already laid out as the buffers
+        positions.set(emergence.store.position);
+        velocities.set(emergence.store.velocity);
+    }
+    for (var p = 0; p < emergence.MAX; p++, i += 3) {
+        monad = monads[p];
+        if (!emergence.store) {
+            positions[i] = monad.position.x; positions[i+1] = monad.position.y; positions[i+2] = monad.position.z;
+            velocities[i] = monad.velocity.x; velocities[i+1] = monad.velocity.y; velocities[i+2] = monad.velocity.z;
+        }
+        colors[i] = monad.color.r; colors[i+1] = monad.color.g; colors[i+2] = monad.color.b;
+        quanta[i] = monad.quanta.attractons; quanta[i+1] = monad.quanta.repulsons; quanta[i+2] = monad.quanta.radius;
+        b += monad.bonds.length;
+    }
+
+    others = new Int32Array(emergence.MAX * further);
+    bonds = new Int32Array(emergence.MAX + b);
+    for (p = 0, b = 0; p < emergence.MAX; p++) {
+        monad = monads[p];
+        for (s = 0; s < further; s++) others[p * further + s] = monad.quanta.others[s];
+        bonds[b++] = monad.bonds.length;
+        for (c = 0; c < monad.bonds.length; c++) bonds[b++] = monad.bonds[c];
+    }
+
+    for (key in statistics.log) { //only what was added since the last tick
+        log[key] = statistics.log[key].slice(sent[key] || 0);
+        sent[key] = statistics.log[key].length;
+    }
+
+    field = emergence.controls.visual.display.field ? emergence.zones.field : null;//only if it is to be shown, copied as it is posted
+
+    postMessage({
+        restarts: data.restarts,
+        positions: positions,
+        velocities: velocities,
+        colors: colors,
+        quanta: quanta,
+        others: others,
+        bonds: bonds,
+        field: field,
+        fieldMax: emergence.zones.fieldMax,
+        stats: {
+            tick: statistics.tick,
+            instant: statistics.instant,
+            maximum: statistics.maximum,
+            events: statistics.events,
+            ledger: statistics.ledger,
+            molecules: { count: statistics.molecules.count, summary: statistics.molecules.summarize() },
+            log: log,
+            current: statistics.current.monads !== current ? statistics.current.monads : null
+        }
+    }, [positions.buffer, velocities.buffer, colors.buffer, quanta.buffer, others.buffer, bonds.buffer]);
+
+    //the relay's monitor displays (and so resets) the counters from here on (see Relay.counters)
+    current = statistics.current.monads;
+    statistics.instant.bonds = statistics.instant.radiation = statistics.instant.collisions = 0;
+}
+
+onmessage = function(event)
+{
+    var data = event.data;
+
+    if (data.type === 'startup') {
+        VERSION = data.version;
+        statistics = new Statistics(true);
+        emergence = new Emergence(statistics, true);
+        emergence.startup(data.hash);
+    } else if (data.type === 'tick') tick(data);
+};
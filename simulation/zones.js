@@ -15,11 +15,31 @@
 /**
  * The purpose of the zones object is to be an intermediary between emergence-monad and monad-monad
  * relationships for anything involving positioning or collision detection. Zones splits the
- * cubic environment of the simulation into an n x n x n grid of zones, each zone having identical
- * s x s x s size and perfectly positioned against adjacent zones. These zones allow individual
- * particles to have not only their simulation-wide coordinates, but also be a member of only one
- * zone at a time. Zone membership allow particles to perform collision or distance checks on
- * a much reduced arena size and still have 100% detected particle interactions.
+ * cuboid environment of the simulation into an l x m x n grid of zones (n x n x n if the world's
+ * radius is the same along every axis), each zone having identical s x s x s size and perfectly
+ * positioned against adjacent zones. These zones allow individual particles to have not only their
+ * simulation-wide coordinates, but also be a member of only one zone at a time. Zone membership
+ * allow particles to perform collision or distance checks on a much reduced arena size and still
+ * have 100% detected particle interactions.
+ *
+ * Above the zones, the grid is kept at coarser levels too, each grouping 2x2x2 cells of the level
+ * below into one and counting the particles within (see levels). Particles too large to search
+ * only the zones next to their own find what they overlap by descending these levels, skipping
+ * whole regions that are empty or out of reach (see collideInRange). Zones (and rows of zones)
+ * are only allocated while particles are in them, so the grid can be much finer than the number
+ * of particles.
+ *
+ * The world wraps around as a three-torus only if its boundary is one (see
+ * generation.world.boundary); otherwise zones on opposite sides are never neighbors, and all
+ * distances are regular Euclidean ones. A flat world is a single layer of zones around z = 0,
+ * searched as a 2d grid that wraps (if at all) along x and y alone.
+ *
+ * Obstacles inside the world are registered with the zones near them, so that particles only
+ * check the obstacles close by (see checkObstacles).
+ *
+ * Every zone may also hold a value of a field that monads imprint on and respond to (see
+ * controls.dynamic.field and updateField), so that monads can affect each other from afar
+ * through the zones between them rather than by contact alone.
  *
  * @param {Statistics} statistics   a statistics object that the zones will use for data
  * @param {Controls} controls       the controls object
@@ -33,10 +53,20 @@ function Zones(statistics,controls,monads)
     this.controls = controls;
     /** Array of monads in simulation */
     this.monads = monads;
-    /** The radius the simulation will be */
-    this.size = this.controls.generation.world.radius;
     /** The size that each zone will be (s value in s x s x s) */
     this.zoning = this.controls.generation.world.zoning;
+    /** Whether the world is flat, every monad staying at z = 0 (one zone deep, and never wrapping along z) */
+    this.flat = this.controls.generation.world.flat;
+    /** The radius the simulation will be along each axis, where the world spans -extent to +extent (see generation.world) */
+    this.extent = new THREE.Vector3(this.controls.generation.world.radiusX || this.controls.generation.world.radius,
+                                    this.controls.generation.world.radiusY || this.controls.generation.world.radius,
+                                    this.flat ? this.zoning / 2 : this.controls.generation.world.radiusZ || this.controls.generation.world.radius);
+    /** The radius the simulation will be (along its longest axis) */
+    this.size = Math.max(this.extent.x, this.extent.y, this.extent.z);
+    /** What happens to particles at the edge of the world (see Monad.checkBounds) */
+    this.boundary = this.controls.generation.world.boundary;
+    /** Whether the world wraps around as a three-torus */
+    this.toroid = this.boundary === 'toroid';
     /** The maximum amount of monads possible */
     this.max = this.monads.length;
     /** Contains index numbers of monads that are currently free */
@@ -49,35 +79,111 @@ function Zones(statistics,controls,monads)
     this.timeOld = 0;
     /** Ending index (newest quanta+1) in timeslots */
     this.timeNew = 0;
-    /** How many zones per side */
-    this.length = Math.ceil((this.size * 2) / this.zoning);
+    /** How many zones per side along each axis */
+    this.lengths = new THREE.Vector3(Math.ceil((this.extent.x * 2) / this.zoning),
+                                     Math.ceil((this.extent.y * 2) / this.zoning),
+                                     Math.ceil((this.extent.z * 2) / this.zoning));
+    /** How many zones per side (along the longest axis) */
+    this.length = Math.max(this.lengths.x, this.lengths.y, this.lengths.z);
     /** Crossover -1,0,1 array for collision detection */
     this.crossover = { x: [0, 0], y: [0, 0], z: [0, 0] };
     /** Spare vector array for collision detection */
     this.holdover = new THREE.Vector3();
+    /** When set to a Synchrony, collisions found are handed to it instead of performed (see synchrony.js) */
+    this.synchrony = null;
+    /** Continuous collisions found for the monad being checked, each { other, time }, performed in order of time (see collideInOrder) */
+    this.impacts = [];
+    /** Where every monad that has already moved this tick started it from (x, y, z for monad 0, then monad 1, ...), while
+        collisions are continuous and monads are updated one after another; null until then (see depart) */
+    this.starts = null;
+    /** The tick (plus one) each monad last moved in, by index, for which its start in starts holds (see depart) */
+    this.departed = null;
     /** The array of zones itself (because zones itself is basically a specialized array)*/
     this.array = [];
-    /** The maximum distance possible between two 0-mass particles, or set maxdist to half of the distance between two opposite (1,1,1 vs -1,-1,-1) corners of the world cube */
-    this.maxdist = this.size * Math.pow(3,1/2);
+    /** The zone in the array wherever there are no particles (never written to) */
+    this.empty = [0];
+    /** The row of zones in the array wherever there are no particles in the whole row (never written to) */
+    this.emptyRow = new Array(this.lengths.z).fill(this.empty);
+    /** How big to preset zones arrays when occupied (helps with memory management) */
+    this.preset = this.length <= 50 ? 32 : (this.length <= 100 ? 16 : 8);
+    /** How many particles are in each row of zones (x, y) */
+    this.rows = new Int32Array(this.lengths.x * this.lengths.y);
+    /** The coarser levels of the grid, finest first, each { shift, lengths, counts } where a cell
+        groups 2^shift zones per side, lengths holds how many cells there are along each axis, and
+        counts holds how many particles are in each cell; level 0 stands for the zones themselves
+        (counts null, see collideInCell) */
+    this.levels = [{ shift: 0, lengths: this.lengths, counts: null }];
+    /** The zone field by row of zones (x, y), each row holding one value per zone along z and null
+        where the field has faded away along the whole row (see updateField); null while the field is off */
+    this.field = null;
+    /** The index of every row of zones in the field that is not null, in no particular order */
+    this.fieldRows = [];
+    /** The largest magnitude in the zone field as of its last update (never below it, see updateField) */
+    this.fieldMax = 0;
+    /** The obstacles inside the world (see generation.world.obstacles) */
+    this.obstacles = Zones.buildObstacles(this.controls.generation.world, this.extent, this.flat);
+    /** The obstacles each zone lies close enough to for its particles to hit, by row of zones (x, y) and then by z,
+        null where none and with no row where none in the whole row; null altogether if there are no obstacles (see checkObstacles) */
+    this.blocked = null;
+    /** Whether any obstacle is a plane, which is checked wherever particles are rather than by zone (see registerObstacles) */
+    this.planes = false;
+    /** The species of quanta the world is made of (see generation.monad.species) */
+    this.species = Species.build(this.controls.generation.monad.species);
+    /** The maximum distance possible between two 0-mass particles, or set maxdist to half of the distance between two opposite (1,1,1 vs -1,-1,-1) corners of the world cuboid */
+    this.maxdist = this.flat ? new THREE.Vector2(this.extent.x, this.extent.y).length() : this.extent.length();
 
-    var length = this.length;//memory reference
-    this.stats.maximum.zoning = Math.pow(length,3); //number of zones in this environment
+    var lengths = this.lengths;//memory reference
+    this.stats.maximum.zoning = lengths.x * lengths.y * lengths.z; //number of zones in this environment
     this.stats.maximum.distance = this.maxdist;
-    var inilen = length <= 50 ? 32 : (length <= 100 ? 16 : 8); //how big to preset zones arrays (helps with memory management)
-
-    //set up the zones
-    for (var x = 0; x < length; x++) {
-        this.array.push([]);
-        for (var y = 0; y < length; y++) {
-            this.array[x].push([]);
-            for (var z = 0; z < length; z++) {
-                this.array[x][y].push(new Array(inilen).fill(-1));
-                this.array[x][y][z][0] = 0; //slot 0 is the fill length of the following array[1..n]
-            }
-        }
+
+    //set up the zones, all empty until particles enter them (see addToZone)
+    for (var x = 0; x < lengths.x; x++)
+        this.array.push(new Array(lengths.y).fill(this.emptyRow));
+
+    //set up the levels, halving cells per side until one cell holds the world; levels too fine to
+    //count cheaply are left out, their parents holding more cells of the level below instead
+    for (var shift = 1, cells = lengths.clone(); cells.x > 1 || cells.y > 1 || cells.z > 1; shift++) {
+        cells = new THREE.Vector3(Math.ceil(lengths.x / Math.pow(2, shift)),
+                                  Math.ceil(lengths.y / Math.pow(2, shift)),
+                                  Math.ceil(lengths.z / Math.pow(2, shift)));
+        if (cells.x * cells.y * cells.z <= Zones.CELLS)
+            this.levels.push({ shift: shift, lengths: cells, counts: new Int32Array(cells.x * cells.y * cells.z) });
     }
+
+    if (this.obstacles.length) this.registerObstacles();
+}
+
+/** The boundaries a world may have (see generation.world.boundary) */
+Zones.BOUNDARIES = ['toroid', 'bounce', 'reverse', 'vanish', 'sphere'];
+
+/** The rules a collision can follow (see controls.dynamic.rules and collide()): 'auto' follows the
+    toggles, 'pass' lets the two pass through each other, and every other rule is the monad function
+    of the same name */
+Zones.RULES = ['auto', 'freeze', 'bond', 'merge', 'bounce', 'pass', 'annihilate'];
+
+/**
+ * Returns the obstacles of the world: those of the named layout if generation.world.obstacles is
+ * the name of one (see Obstacle.LAYOUTS), or those of the specs if it is a list of them.
+ *
+ * @param {Object} world        the world generation controls
+ * @param {Vector3} extent      the radius of the world along each axis
+ * @param {boolean} flat        whether the world is flat
+ *
+ * @return {Obstacle[]} the obstacles
+ */
+Zones.buildObstacles = function(world, extent, flat)
+{
+    var specs = typeof world.obstacles === 'string' ? Obstacle.layout(world.obstacles, extent, world.absorbent) : world.obstacles || [];
+    return specs.map(function(spec) { return new Obstacle(spec, flat); });
 }
 
+/** What the zone field may be made of (see controls.dynamic.field.source) */
+Zones.FIELDS = ['none', 'charge', 'mass', 'flux'];
+/** The most zones per side of the world along any axis (see Controls.checkDimensions) */
+Zones.LENGTH = 512;
+/** The most cells a level of the grid may count (see levels) */
+Zones.CELLS = Math.pow(2, 21);
+
 /**
  * Checks the parameter particle's position to see whether it has changed zones. If it has, change
  * the particle's zone and update the zone itself as well.
@@ -89,13 +195,13 @@ Zones.prototype.updateZone = function(monad)
     var floor = Math.floor;
     var pos = monad.position;
     var zone = monad.zone;
-    var size = this.size;
+    var extent = this.extent;
     var zoning = this.zoning;
 
     //recalculate zones
-    var x = floor((pos.x + size) / zoning);
-    var y = floor((pos.y + size) / zoning);
-    var z = floor((pos.z + size) / zoning);
+    var x = floor((pos.x + extent.x) / zoning);
+    var y = floor((pos.y + extent.y) / zoning);
+    var z = floor((pos.z + extent.z) / zoning);
 
     if (x != zone.x || y != zone.y || z != zone.z) {//at least one coordinate different
         if (zone.i > 0) //particle had previous zone
@@ -123,6 +229,11 @@ Zones.prototype.clearFromZone = function(monad)
         zone[i] = zone[zone[0]--]; //switch last particle index with this one and 'delete' it by reducing length of zone list
         if (zone[0]) //if zone not empty now
             this.monads[zone[i]].zone.i = i; //update the swapped monad's index as well to match new one
+        this.count(mzone, -1);
+        if (!zone[0]) { //release the zone, and its row if that is now empty too (see addToZone)
+            if (this.rows[mzone.x * this.lengths.y + mzone.y]) this.array[mzone.x][mzone.y][mzone.z] = this.empty;
+            else this.array[mzone.x][mzone.y] = this.emptyRow;
+        }
     }
     //mzone.x = mzone.y = mzone.z = -1; //now only check zone.i for accuracy
     mzone.i = -1; //parameter monad is zoneless
@@ -138,10 +249,43 @@ Zones.prototype.clearFromZone = function(monad)
 Zones.prototype.addToZone = function(monad)
 {   //memory references
     var mzone = monad.zone;
-    var zone = this.array[mzone.x][mzone.y][mzone.z];
+    var row = this.array[mzone.x][mzone.y];
+    var zone = row[mzone.z];
+
+    if (zone === this.empty) { //no particles here, so allocate the zone (and its row if need be)
+        if (row === this.emptyRow) row = this.array[mzone.x][mzone.y] = this.emptyRow.slice();
+        zone = row[mzone.z] = new Array(this.preset).fill(-1);
+        zone[0] = 0; //slot 0 is the fill length of the following array[1..n]
+    }
 
     mzone.i = ++zone[0]; //set index of monad's zone to the next open zone slot (done by incremented the length and returning length)
     zone[mzone.i] = monad.index; //set zone at index monad.zone.i to the monad's simulation.monads array index
+    this.count(mzone, 1);
+}
+
+/**
+ * Adds to (or takes from) the particle counts of the given zone's row and of every cell above the
+ * zone in the levels.
+ *
+ * @param {Object} zone     the monad's zone (x, y, z)
+ * @param {int} change      how many particles entered the zone (negative if they left)
+ */
+Zones.prototype.count = function(zone, change)
+{   //memory reference
+    var levels = this.levels;
+
+    //local variables
+    var level = null;
+    var shift = 0;
+    var lengths = null;
+
+    this.rows[zone.x * this.lengths.y + zone.y] += change;
+    for (var l = 1; l < levels.length; l++) {
+        level = levels[l];
+        shift = level.shift;
+        lengths = level.lengths;
+        level.counts[((zone.x >> shift) * lengths.y + (zone.y >> shift)) * lengths.z + (zone.z >> shift)] += change;
+    }
 }
 
 /**
@@ -177,6 +321,7 @@ Zones.prototype.nextFreeSlot = function(buffer)
     var freeslots = this.freeslots;
     var instant = this.stats.instant;
     var maximum = this.stats.maximum;
+    var ledger = this.stats.ledger;
     var monads = this.monads;
     var toggle = this.controls.dynamic.toggle;
 
@@ -201,12 +346,12 @@ Zones.prototype.nextFreeSlot = function(buffer)
         if (toggle.reabsorption && monad.parentIndex >= 0) { //reabsorption is enabled and this quanta has a parent
             parent = monads[monad.parentIndex]; //fetch parent
             if (parent.getMass() > 1) {//return quanta unless parent is also quanta
-                if (monad.quanta.attractons > 0)
-                    parent.quanta.attractons++;
-                else parent.quanta.repulsons++;
+                parent.addCount(monad.getSpecies(), 1);
+                ledger.reabsorbed++;
             }
         }
-        monad.nullify();
+        ledger.displaced++;
+        monad.nullify('displaced');
     }
 
     slot = freeslots[--this.free]; //get next free slot and 'delete' by reducing list length
@@ -242,6 +387,10 @@ Zones.prototype.nextFreeSlot = function(buffer)
  * beyond its own radius doubled--e.g., searches as far as assuming the biggest particle it will
  * collide with is another of identical size).
  *
+ * If collisions are continuous (controls.dynamic.toggle.continuous), the search also reaches as
+ * far as the particle and another could move this tick, and the collisions found are performed
+ * in the order the particles would meet (see sweep and collideInOrder).
+ *
  * @param {Monad} monad the particle whose collision to check
  *
  * @return {boolean} true if particle was absorbed or compromised in collision,
@@ -250,12 +399,13 @@ Zones.prototype.nextFreeSlot = function(buffer)
 Zones.prototype.checkCollisions = function(monad)
 {   //memory references
     var abs = Math.abs;
-    var size = this.size;
+    var extent = this.extent;
     var zoning = this.zoning;
-    var length = this.length;
+    var lengths = this.lengths;
     var crossover = this.crossover;
     var pos = monad.position;
-    var radius = monad.quanta.radius;
+    var ms = this.controls.dynamic.maxSpeed;
+    var radius = monad.quanta.radius + (this.controls.dynamic.toggle.continuous ? monad.getSpeed() + ms : 0);//continuous collisions search as far as both can move
     var zone = monad.zone;
     var x = zone.x, y = zone.y, z = zone.z;
 
@@ -268,56 +418,45 @@ Zones.prototype.checkCollisions = function(monad)
     var crosses = 0;
     var oob = 0;
     crossover.x[0] = crossover.x[1] = crossover.y[0] = crossover.y[1] = crossover.z[0] = crossover.z[1] = 0;
+    this.impacts.length = 0;
 
     /**
      * Crossover checks how many zones must be searched to ensure all collisions are found.
-     * Currently, only checks for zones when a particle's radius is less than half the zone's size,
-     * ensuring that all particles whose maximum intersection is 8 zones search only zones they
-     * intersect with. An ideal algorithm would scale this up to an infinite amount of zones.
-     * For now, if a particle's radius is at least half of the zone's size, the algorithm
-     * will set crosses negative for however many zoning size halves its radius envelops.
+     * Only checks for zones when a particle's radius is less than half the zone's size, ensuring
+     * that all particles whose maximum intersection is 8 zones search only zones they intersect
+     * with. If a particle's radius is at least half of the zone's size, it instead searches the
+     * levels of the grid for every zone within twice its radius (see collideInRange).
      */
-    if (radius >= (zoning/2)) crosses = -Math.floor(radius / (zoning/2)); //particle is larger than current algorithm can subdivide
-    else { //radius indicates 8 zones or fewer can be searched
-        if (pos.x - radius <= x * zoning - size) { crossover.x[0] = -1; crosses++; }
+    if (radius >= (zoning/2)) { //particle is larger than crossover algorithm can neatly divide
+        if (DEBUG) debug(["system","crossover"],["MONAD",monad.index,monad,radius*2]);
+        if (this.collideInRange(monad, radius * 2)) return true;
+        return this.collideInOrder(monad);
+    } else { //radius indicates 8 zones or fewer can be searched
+        if (pos.x - radius <= x * zoning - extent.x) { crossover.x[0] = -1; crosses++; }
         else crossover.x[0] = 0;
-        if (pos.x + radius >= (x + 1) * zoning - size) { crossover.x[1] = 1; crosses++; }
+        if (pos.x + radius >= (x + 1) * zoning - extent.x) { crossover.x[1] = 1; crosses++; }
         else crossover.x[1] = 0;
-        if (pos.y - radius <= y * zoning - size) { crossover.y[0] = -1; crosses++; }
+        if (pos.y - radius <= y * zoning - extent.y) { crossover.y[0] = -1; crosses++; }
         else crossover.y[0] = 0;
-        if (pos.y + radius >= (y + 1) * zoning - size) { crossover.y[1] = 1; crosses++; }
+        if (pos.y + radius >= (y + 1) * zoning - extent.y) { crossover.y[1] = 1; crosses++; }
         else crossover.y[1] = 0;
-        if (pos.z - radius <= z * zoning - size) { crossover.z[0] = -1; crosses++; }
+        if (pos.z - radius <= z * zoning - extent.z) { crossover.z[0] = -1; crosses++; }
         else crossover.z[0] = 0;
-        if (pos.z + radius >= (z + 1) * zoning - size) { crossover.z[1] = 1; crosses++; }
+        if (pos.z + radius >= (z + 1) * zoning - extent.z) { crossover.z[1] = 1; crosses++; }
         else crossover.z[1] = 0;
     }
 
-    //particle is larger than crossover algorithm can neatly divide
-    if (crosses < 0) {
-        crosses *= -1;
-        side = 3 + (crosses * 2);
-        if (side >= length || Math.pow(side,3) >= this.max) { //particle is so big it may overlap all zones
-            if (DEBUG) debug(["system","crossover"],["MONAD",monad.index,monad,crosses*-1,crossover]);
-            if (this.collideInZone(monad,[this.max],size)) return true;//check collision with every particle in simulation
-            return false;
-        } else crosses++; //particle isn't huge enough to overlap everything, so simply increase its range
-    } else if (crosses > 0) crosses = 1; //particle is small enough that crossover algorithm can neatly divide
+    if (crosses > 0) crosses = 1; //particle is small enough that crossover algorithm can neatly divide
 
     if (DEBUG) debug(["system","crossover"],["MONAD",monad.index,monad,crosses,crossover]);
-    oob = zoning * crosses * (crosses <= 1 ? 1 : 2);
+    oob = zoning * crosses;
     /**
-     * As long as particle wasn't big enough to check every other particle's collision (see above),
-     * it gets filtered here. Note that this is the most processor hungry function in the simulation
-     * (because almost every particle runs this). xi, yi, and zi represent how many zones to move
-     * over for an axis (e.g., xi,yi,zi = 1,0,-1 means to check the zone to the lower-right of current).
-     * This function also neatly handles no-zone overlap particles, partial-zone overlap particles,
-     * and large particles that overlap many zones (once a particle goes beyond 8 zones, it will check
-     * the lowest amount of zones that make sense, starting with a 5x5x5 cube, then a 7x7x7 cube,
-     * and onwards until the maximum size is reached; note that there is no 3x3x3 cube, as the
-     * algorithm will double the size searched beyond the optimal 8-cube within a 27-cube layout--
-     * this means that optimal simulations will run so that most or all particles have a radius less
-     * than half of the zoning size).
+     * Particles small enough for the crossover algorithm get filtered here. Note that this is the
+     * most processor hungry function in the simulation (because almost every particle runs this).
+     * xi, yi, and zi represent how many zones to move over for an axis (e.g., xi,yi,zi = 1,0,-1
+     * means to check the zone to the lower-right of current). This function also neatly handles
+     * no-zone overlap particles and partial-zone overlap particles (optimal simulations will run
+     * so that most or all particles have a radius less than half of the zoning size).
      */
     for (xi = x - crosses; xi <= x + crosses; xi++) for (yi = y - crosses; yi <= y + crosses; yi++) for (zi = z - crosses; zi <= z + crosses; zi++) {
         if (crosses === 1) { //only check crossover zone reduction for particles that cross <= 8 zones based on radius estimate
@@ -330,10 +469,11 @@ Zones.prototype.checkCollisions = function(monad)
 
             if (shift != xcross + ycross + zcross) continue;//this zone should not be checked because the radius doesn't overlap
         }
-        //check whether this zone wraps around toroid (on the other size)
-        x2 = xi < 0 ? length + xi : (xi >= length ? xi - length : xi);
-        y2 = yi < 0 ? length + yi : (yi >= length ? yi - length : yi);
-        z2 = zi < 0 ? length + zi : (zi >= length ? zi - length : zi);
+        //check whether this zone wraps around toroid (on the other size), which only a toroid has
+        if (!this.toroid && (xi < 0 || xi >= lengths.x || yi < 0 || yi >= lengths.y || zi < 0 || zi >= lengths.z)) continue;
+        x2 = xi < 0 ? lengths.x + xi : (xi >= lengths.x ? xi - lengths.x : xi);
+        y2 = yi < 0 ? lengths.y + yi : (yi >= lengths.y ? yi - lengths.y : yi);
+        z2 = zi < 0 ? lengths.z + zi : (zi >= lengths.z ? zi - lengths.z : zi);
 
         if (DEBUG) debug(["system","crossover"],[crossover,'xyz',[x,y,z],'xiyizi',[xi,yi,zi],'x2y2z2',[x2,y2,z2]]);
         if (xi != x2 || yi != y2 || zi != z2) { //zone is wrapped around toroid, check multiple distance measures
@@ -341,7 +481,103 @@ Zones.prototype.checkCollisions = function(monad)
         } else if (this.collideInZone(monad, this.array[x2][y2][z2],0)) return true; //zone within regular Euclidean geometry space
     }
 
-    return false; //no collisions where this particle got 'merged into' or compromised was found
+    return this.collideInOrder(monad); //no collisions where this particle got 'merged into' or compromised was found, unless continuous
+}
+
+/**
+ * Checks collision for a particle too large for the crossover algorithm with every particle in
+ * the zones within the given reach of it, as found by descending the levels of the grid from the
+ * coarsest (see collideInCell). Only zones holding particles are ever checked, however far the
+ * particle reaches.
+ *
+ * @param {Monad} monad     the particle whose collision to check
+ * @param {float} reach     how far from the particle's position to search
+ *
+ * @return {boolean} true if particle was absorbed or compromised in collision,
+ *                    false otherwise (collisions where parameter monad stays intact)
+ */
+Zones.prototype.collideInRange = function(monad, reach)
+{   //memory references
+    var top = this.levels.length - 1;
+    var lengths = this.levels[top].lengths;
+
+    for (var x = 0; x < lengths.x; x++) for (var y = 0; y < lengths.y; y++) for (var z = 0; z < lengths.z; z++)
+        if (this.collideInCell(monad, top, x, y, z, reach)) return true;
+    return false;
+}
+
+/**
+ * Checks collision for a particle with every particle in a cell of the grid, unless the cell is
+ * empty or out of the particle's reach. Cells above the zones are checked cell by cell of the
+ * level below, and zones with collideInZone.
+ *
+ * @param {Monad} monad     the particle whose collision to check
+ * @param {int} l           the level of the cell (0 for a zone, see levels)
+ * @param {int} x           the x of the cell in its level
+ * @param {int} y           the y of the cell in its level
+ * @param {int} z           the z of the cell in its level
+ * @param {float} reach     how far from the particle's position to search
+ *
+ * @return {boolean} true if particle was absorbed or compromised in collision,
+ *                    false otherwise (collisions where parameter monad stays intact)
+ */
+Zones.prototype.collideInCell = function(monad, l, x, y, z, reach)
+{   //memory references
+    var min = Math.min;
+    var level = this.levels[l];
+    var shift = level.shift;
+    var lengths = level.lengths;
+    var extent = this.extent;
+    var zoning = this.zoning;
+    var around = this.toroid ? 2 : 0;
+    var pos = monad.position;
+
+    //local variables
+    var zone = l ? null : this.array[x][y][z];
+    var below = null;
+    var ratio = 0;
+    var xi = 0, yi = 0, zi = 0;
+    var x1 = (x << shift) * zoning - extent.x, x2 = min((x + 1) << shift, this.lengths.x) * zoning - extent.x;
+    var y1 = (y << shift) * zoning - extent.y, y2 = min((y + 1) << shift, this.lengths.y) * zoning - extent.y;
+    var z1 = (z << shift) * zoning - extent.z, z2 = min((z + 1) << shift, this.lengths.z) * zoning - extent.z;
+    var gap = 0.0;
+
+    if (l ? !level.counts[(x * lengths.y + y) * lengths.z + z] : !zone[0]) return false; //no particles here
+
+    gap = Math.pow(this.gap(pos.x, x1, x2, around * extent.x), 2) + Math.pow(this.gap(pos.y, y1, y2, around * extent.y), 2) + Math.pow(this.gap(pos.z, z1, z2, around * extent.z), 2);
+    if (gap > reach * reach) return false; //out of reach, even around the toroid
+
+    if (!l) { //a zone, whose particles are within regular Euclidean distance unless reached around the toroid
+        if (!around) return this.collideInZone(monad, zone, 0);
+        gap = Math.pow(this.gap(pos.x, x1, x2, 0), 2) + Math.pow(this.gap(pos.y, y1, y2, 0), 2) + Math.pow(this.gap(pos.z, z1, z2, 0), 2);
+        return this.collideInZone(monad, zone, gap > reach * reach || reach * 2 + zoning >= min(extent.x, extent.y, extent.z) * 2 ? this.size : 0);
+    }
+
+    below = this.levels[l - 1];
+    ratio = shift - below.shift;
+    for (xi = x << ratio; xi < min((x + 1) << ratio, below.lengths.x); xi++)
+        for (yi = y << ratio; yi < min((y + 1) << ratio, below.lengths.y); yi++)
+            for (zi = z << ratio; zi < min((z + 1) << ratio, below.lengths.z); zi++)
+                if (this.collideInCell(monad, l - 1, xi, yi, zi, reach)) return true;
+    return false;
+}
+
+/**
+ * Returns how far a coordinate is from a range of coordinates along one axis of the world.
+ *
+ * @param {float} p         the coordinate
+ * @param {float} low       the start of the range
+ * @param {float} high      the end of the range
+ * @param {float} around    the world's diameter along the axis if the distance may go around the
+ *                          toroid, 0 otherwise
+ *
+ * @return {float} the distance (0 if the coordinate is within the range)
+ */
+Zones.prototype.gap = function(p, low, high, around)
+{
+    if (p < low) return around ? Math.min(low - p, p + around - high) : low - p;
+    if (p > high) return around ? Math.min(p - high, low + around - p) : p - high;
+    return 0;
 }
 
 /**
@@ -368,23 +604,19 @@ Zones.prototype.checkCollisions = function(monad)
  */
 Zones.prototype.collideInZone = function(monad, zone, oob)
 {   //memory references
-    var random = Math.random;
+    var random = RANDOM.visual.next;
     var size = this.size;
     var holdover = this.holdover;
-    var maximum = this.stats.maximum;
     var oqua = monad.quanta;
     var position = monad.position;
     var index = monad.index;
     var controls = this.controls;
     var toggle = controls.dynamic.toggle;
-    var freeze = toggle.freeze;
     var bonding = toggle.bonding;
-    var merge = toggle.merging;
-    var absorb = toggle.quantaAbsorption;
+    var continuous = toggle.continuous;
     var monads = this.monads;
     var ms = controls.dynamic.maxSpeed;
     var collision = controls.visual.display.collision;
-    var strict = controls.generation.world.strict;
 
     //local variables
     var quantaRandPlus = !toggle.quantaCollide && toggle.quantaRandCollide;
@@ -395,6 +627,8 @@ Zones.prototype.collideInZone = function(monad, zone, oob)
     var bound = 0.0;
     var cont = 0;
     var dist = 0.0;
+    var tdist = 0.0;
+    var time = 0.0;
     var col = 0.0;
     var opposition = null;
     var omass = 0;
@@ -433,33 +667,541 @@ Zones.prototype.collideInZone = function(monad, zone, oob)
         } else cont++; //non-flagged oob to check, so don't check regular distance independently for coloring
 
         //check Toroidal distance
-        if (oob) {
-            if (monad.getToroidDistanceTo(other,size,size - oob) > radi) cont++; //closest toroid distance overlaps
+        if (oob && !continuous) {
+            tdist = monad.getToroidDistanceTo(other,oob);
+            if (tdist > radi) cont++; //closest toroid distance overlaps
         } else cont++; //no toroidal distance to check, so assume regular distance checked
 
-        if (DEBUG) debug(["system","crossover"],[radi,position.distanceTo(other.position), oob ? monad.getToroidDistanceTo(other,size,size - oob) : 'no oob']);
+        if (DEBUG) debug(["system","crossover"],[radi,position.distanceTo(other.position), oob ? monad.getToroidDistanceTo(other,oob) : 'no oob']);
+
+        //check swept distance, which decides alone if continuous
+        if (continuous) {
+            time = this.sweep(monad, other, radi);
+            cont = time < 0 ? 2 : 0;
+        }
 
         if (cont === 2) continue;//no collision detection method found overlapping distances
 
         if (bonding && monad.bonds.indexOf(other.index) > -1) continue; //in bond group, don't collide
 
         if (DEBUG) debug(["system","crossover"],"successful collision");
-        if (strict && !maximum.bonds && (monad.index === 0 || other.index === 0) && (monad.index === 1 || other.index === 1))
-            debug("always","0 <-> 1 Collision: " + this.stats.tick);
-
-        //perform collision appropriate to controls
-        if (freeze) {
-            if (monad.freeze(other)) return true;
-        } else if (bonding && omass > 1) {
-            if (monad.bond(other)) return true;
-        } else if (merge || (absorb && (mass === 1 ^ omass === 1))) {
-            if (monad.merge(other)) return true;
-        } else { //if nothing else, just bounce
-            if (monad.bounce(other, true)) return true;
+        this.recordCollision(monad, other);
+
+        if (this.synchrony) { //synchronous update, where collisions are only performed once all are found
+            this.synchrony.collide(monad, other, radi - (continuous ? monad.getToroidDistanceTo(other,size) : (oob ? tdist : dist)), time);
+            continue;
+        }
+
+        if (continuous) { //performed once every zone has been searched, in order of time (see collideInOrder)
+            this.impacts.push({ other: other, time: time });
+            continue;
         }
+
+        if (this.collide(monad, other)) return true;
         mass = monad.getMass();
         radius = monad.quanta.radius;
     }
 
     return false; //no collision absorbed this monad or compromised it
 }
+
+/**
+ * Performs the collisions found for the given monad this tick when collisions are continuous,
+ * in the order the monads meet. Every collision may change the monad's course or composition,
+ * so each after the first is only performed if the two still meet this tick (see sweep).
+ *
+ * @param {Monad} monad the monad whose collisions to perform
+ *
+ * @return {boolean} true if the monad was absorbed or compromised in a collision, false otherwise
+ */
+Zones.prototype.collideInOrder = function(monad)
+{   //memory references
+    var impacts = this.impacts;
+
+    //local variables
+    var other = null;
+
+    impacts.sort(function(i1, i2) { return (i1.time - i2.time) || (i1.other.index - i2.other.index); });
+
+    for (var i = 0; i < impacts.length; i++) {
+        other = impacts[i].other;
+        if (other.quanta.radius === 0) continue;//absorbed by an earlier collision
+        if (i > 0 && this.sweep(monad, other, this.reach(monad, other)) < 0) continue;//no longer meet
+        if (this.collide(monad, other)) return true;
+    }
+    return false;
+}
+
+/**
+ * Performs the collision of two monads as the controls have it. The rule for their kind of pair
+ * (see getRule) is followed if there is one; under the 'auto' rule, the toggles decide: freezing,
+ * bonding, merging (or absorbing), or, if nothing else, bouncing. With activation thresholds, the
+ * energy of the collision decides between bouncing, bonding, and merging instead (see
+ * Monad.getReaction). Monads already bonded pass through each other rather than bond again.
+ *
+ * @param {Monad} monad the monad whose collision was checked
+ * @param {Monad} other the monad it collides with
+ *
+ * @return {boolean} true if the monad was absorbed or compromised in the collision, false otherwise
+ */
+Zones.prototype.collide = function(monad, other)
+{   //memory references
+    var toggle = this.controls.dynamic.toggle;
+
+    //local variables
+    var mass = monad.getMass();
+    var omass = other.getMass();
+    var reaction = null;
+    var rule = this.getRule(monad, other);
+
+    if (rule === 'pass' || (rule === 'bond' && monad.bonds.indexOf(other.index) > -1)) return false;//through each other
+    if (rule !== 'auto') return monad[rule](other, true);
+    if (toggle.freeze) return monad.freeze(other);
+    if ((reaction = monad.getReaction(other))) return monad[reaction](other, true);
+    if (toggle.bonding && omass > 1) return monad.bond(other);
+    if (toggle.merging || (toggle.quantaAbsorption && (mass === 1 ^ omass === 1))) return monad.merge(other);
+    return monad.bounce(other, true);//if nothing else, just bounce
+}
+
+/**
+ * Returns the rule the collision of two monads follows (see controls.dynamic.rules), by the kind
+ * of pair they are: a parent and child if one was emitted or split off by the other, or else two
+ * quanta, a quanta and a heavier monad, or two monads heavier than quanta. A rule given as weights
+ * is drawn at random by them; with no weights, the toggles decide ('auto'). Bonding is left to the
+ * toggles too while the bonding toggle is off, as bonds are then never checked (and so would never
+ * hold the two together, break, or collapse).
+ *
+ * @param {Monad} monad one of the colliding monads
+ * @param {Monad} other the other
+ *
+ * @return {string} the rule (see Zones.RULES)
+ */
+Zones.prototype.getRule = function(monad, other)
+{   //memory references
+    var rules = this.controls.dynamic.rules;
+    var bonding = this.controls.dynamic.toggle.bonding;
+
+    //local variables
+    var m1 = monad.getMass();
+    var m2 = other.getMass();
+    var rule = (monad.index === other.parentIndex || other.index === monad.parentIndex) ? rules.parentChild :
+               (m1 === 1 && m2 === 1 ? rules.quantaQuanta : (m1 === 1 || m2 === 1 ? rules.quantaMonad : rules.monadMonad));
+    var total = 0.0, ran = 0.0;
+    var name = '';
+
+    if (typeof rule !== 'string') { //drawn by weight
+        for (name in rule) total += rule[name];
+        ran = RANDOM.physics.next() * total;
+        for (name in rule)
+            if ((ran -= rule[name]) < 0) break;
+        rule = ran < 0 ? name : 'auto';
+    }
+    return rule === 'bond' && !bonding ? 'auto' : rule;
+}
+
+/**
+ * Returns the distance at which two monads collide: the sum of their radii, doubled for quanta
+ * if quantaCollide is off but quantaRandCollide is on (see collideInZone).
+ *
+ * @param {Monad} monad the monad whose collision is checked
+ * @param {Monad} other the monad it may collide with
+ *
+ * @return {float} the collision distance
+ */
+Zones.prototype.reach = function(monad, other)
+{   //memory references
+    var toggle = this.controls.dynamic.toggle;
+
+    //local variables
+    var doubling = !toggle.quantaCollide && toggle.quantaRandCollide && monad.getMass() === 1;
+
+    return monad.quanta.radius * (doubling ? 2 : 1) + other.quanta.radius * (doubling && other.getMass() === 1 ? 2 : 1);
+}
+
+/**
+ * Records where the given monad starts the tick from, just before it moves, so that the monads
+ * updated after it this tick sweep their paths against its path from there rather than from where
+ * it has ended up (see sweep). Only needed when monads are updated one after another; synchronous
+ * updates move every monad only once all collisions are found.
+ *
+ * @param {Monad} monad the monad about to move
+ */
+Zones.prototype.depart = function(monad)
+{   //memory references
+    var pos = monad.position;
+
+    //local variables
+    var i = monad.index * 3;
+
+    if (!this.starts) {
+        this.starts = new Float64Array(this.max * 3);
+        this.departed = new Int32Array(this.max);
+    }
+    this.starts[i] = pos.x; this.starts[i+1] = pos.y; this.starts[i+2] = pos.z;
+    this.departed[monad.index] = this.stats.tick + 1;
+}
+
+/**
+ * Continuous collision detection: tests the paths two monads sweep this tick (from their positions
+ * along their velocities) rather than only where they are, so that monads faster than the smallest
+ * diameter can't pass through each other between ticks. Positions are compared around the toroid
+ * (the closest of the other monad's images) if the world is one. If the other monad has already
+ * moved this tick, its path is taken from where it started the tick (see depart).
+ *
+ * @param {Monad} monad the monad whose collision is checked
+ * @param {Monad} other the monad it may collide with
+ * @param {float} radi  the distance at which the two collide
+ *
+ * @return {float} the time in [0,1] of the tick at which the two first meet (0 if they already
+ *                  overlap), or -1 if they don't meet this tick
+ */
+Zones.prototype.sweep = function(monad, other, radi)
+{   //memory references
+    var extent = this.extent;
+    var starts = this.starts;
+    var p1 = monad.position, p2 = other.position;
+    var v1 = monad.velocity, v2 = other.velocity;
+    var moved = starts && this.departed[other.index] === this.stats.tick + 1;
+    var i = other.index * 3;
+
+    //local variables (where other is from monad, and how it moves from monad)
+    var dx = (moved ? starts[i] : p2.x) - p1.x, dy = (moved ? starts[i+1] : p2.y) - p1.y, dz = (moved ? starts[i+2] : p2.z) - p1.z;
+    var wx = v2.x - v1.x, wy = v2.y - v1.y, wz = v2.z - v1.z;
+    var a = 0.0, b = 0.0, c = 0.0, discriminant = 0.0, time = 0.0;
+
+    //closest image around the toroid
+    if (this.toroid) {
+        if (dx >= extent.x) dx -= 2 * extent.x; else if (dx < -extent.x) dx += 2 * extent.x;
+        if (dy >= extent.y) dy -= 2 * extent.y; else if (dy < -extent.y) dy += 2 * extent.y;
+        if (dz >= extent.z) dz -= 2 * extent.z; else if (dz < -extent.z) dz += 2 * extent.z;
+    }
+
+    //solve |d + time * w| = radi for the earliest time
+    c = dx * dx + dy * dy + dz * dz - radi * radi;
+    if (c <= 0) return 0;//already overlapping
+    a = wx * wx + wy * wy + wz * wz;
+    b = dx * wx + dy * wy + dz * wz;
+    if (a === 0 || b >= 0) return -1;//not getting any closer
+    discriminant = b * b - a * c;
+    if (discriminant < 0) return -1;//closest approach is too far
+
+    time = (-b - Math.sqrt(discriminant)) / a;
+    return time <= 1 ? time : -1;
+}
+
+/**
+ * Registers every obstacle with the zones close enough to it for their particles to reach it:
+ * those whose center is within the zone's half diagonal plus one zoning of the obstacle. Only the
+ * zones that could be are measured: those within the bounding box of a sphere or box, and, for a
+ * membrane, those of every column along the axis it faces most that lie within its slab. Planes
+ * are not registered at all, as everything behind one is half the world; they are checked
+ * wherever particles are instead. Zones near the same obstacles share the one list of them.
+ */
+Zones.prototype.registerObstacles = function()
+{   //memory references
+    var obstacles = this.obstacles;
+    var lengths = this.lengths;
+    var extent = this.extent;
+    var zoning = this.zoning;
+    var toZone = this.toZone.bind(this);
+    var blocked = this.blocked = {};
+    var reach = zoning * (Math.sqrt(3) / 2 + 1);
+
+    //local variables
+    var obstacle = null;
+    var low = new THREE.Vector3();
+    var high = new THREE.Vector3();
+    var center = new THREE.Vector3();
+    var normal = new THREE.Vector3();
+    var axes = ['x', 'y', 'z'];
+    var lists = {};//every list of obstacles registered, shared by all the zones that have it
+    var n = null, c = null;
+    var k = 0, u = 0, w = 0;
+    var half = 0.0, rest = 0.0, from = 0.0, to = 0.0;
+    var zone = [0, 0, 0];
+
+    /** Registers obstacle o with the zone if the zone's center is within reach of it */
+    function block(o) {
+        var i = zone[0] * lengths.y + zone[1];
+        var row = blocked[i];
+        var list = row ? row[zone[2]] : null;
+        var key = '';
+        center.set(-extent.x + (zone[0] + 0.5) * zoning, -extent.y + (zone[1] + 0.5) * zoning, -extent.z + (zone[2] + 0.5) * zoning);
+        if (obstacles[o].distance(center, normal) > reach) return;//too far away
+        key = list ? list.join() + ',' + o : '' + o;
+        if (!row) row = blocked[i] = new Array(lengths.z).fill(null);
+        row[zone[2]] = lists[key] = lists[key] || (list ? list.concat(o) : [o]);
+    }
+
+    for (var o = 0; o < obstacles.length; o++) {
+        obstacle = obstacles[o];
+        n = obstacle.normal;
+        c = obstacle.center;
+        switch (obstacle.shape) {
+            case 'plane':
+                this.planes = true;
+                break;
+
+            case 'sphere':
+            case 'box':
+                if (obstacle.shape === 'sphere') high.setScalar(obstacle.radius);
+                else high.copy(obstacle.extent);
+                low.copy(c).sub(high).subScalar(reach);
+                high.add(c).addScalar(reach);
+                for (zone[0] = toZone(low.x, 'x'); zone[0] <= toZone(high.x, 'x'); zone[0]++)
+                    for (zone[1] = toZone(low.y, 'y'); zone[1] <= toZone(high.y, 'y'); zone[1]++)
+                        for (zone[2] = toZone(low.z, 'z'); zone[2] <= toZone(high.z, 'z'); zone[2]++)
+                            block(o);
+                break;
+
+            case 'membrane': //walk the columns along the axis the membrane faces most, within its slab
+                k = Math.abs(n.x) >= Math.abs(n.y) && Math.abs(n.x) >= Math.abs(n.z) ? 0 : (Math.abs(n.y) >= Math.abs(n.z) ? 1 : 2);
+                u = (k + 1) % 3;
+                w = (k + 2) % 3;
+                half = obstacle.thickness / 2 + reach;
+                for (zone[u] = 0; zone[u] < lengths[axes[u]]; zone[u]++)
+                    for (zone[w] = 0; zone[w] < lengths[axes[w]]; zone[w]++) {
+                        rest = n[axes[u]] * (-extent[axes[u]] + (zone[u] + 0.5) * zoning - c[axes[u]]) +
+                               n[axes[w]] * (-extent[axes[w]] + (zone[w] + 0.5) * zoning - c[axes[w]]);
+                        from = c[axes[k]] + (-half - rest) / n[axes[k]];
+                        to = c[axes[k]] + (half - rest) / n[axes[k]];
+                        for (zone[k] = toZone(Math.min(from, to), axes[k]); zone[k] <= toZone(Math.max(from, to), axes[k]); zone[k]++)
+                            block(o);
+                    }
+                break;
+        }
+    }
+}
+
+/**
+ * Returns the index along the given axis of the zone holding the given coordinate, clamped to the
+ * world (see registerObstacles).
+ *
+ * @param {float} coordinate    the coordinate along the axis
+ * @param {string} axis         'x', 'y', or 'z'
+ *
+ * @return {int} the zone index along the axis
+ */
+Zones.prototype.toZone = function(coordinate, axis)
+{
+    return Math.max(0, Math.min(this.lengths[axis] - 1, Math.floor((coordinate + this.extent[axis]) / this.zoning)));
+}
+
+/**
+ * Checks the given particle against the obstacles registered with the zone it is in (or against
+ * every obstacle, if it is too large for those to be all it could reach) and, for each it overlaps,
+ * pushes it back out to the obstacle's surface and reflects its velocity off the surface, as the
+ * world's walls do. Quanta that hit an obstacle that absorbs are nullified instead, unless kept.
+ * Called by Monad.checkBounds() once the particle is within the world, before it is zoned; the zone
+ * the particle is in is therefore taken from its position (the nearest, should it not be within).
+ *
+ * @param {Monad} monad     the particle to check
+ * @param {boolean} [keep]  whether the particle must not be absorbed (e.g., it is being placed)
+ *
+ * @return {boolean} true if the particle was absorbed
+ */
+Zones.prototype.checkObstacles = function(monad, keep)
+{   //memory references
+    var max = Math.max;
+    var min = Math.min;
+    var floor = Math.floor;
+    var obstacles = this.obstacles;
+    var pos = monad.position;
+    var vel = monad.velocity;
+    var normal = this.holdover;
+    var radius = monad.quanta.radius;
+    var lengths = this.lengths;
+    var extent = this.extent;
+    var zoning = this.zoning;
+
+    //local variables
+    var x = max(0, min(lengths.x - 1, floor((pos.x + extent.x) / zoning)));
+    var y = max(0, min(lengths.y - 1, floor((pos.y + extent.y) / zoning)));
+    var z = max(0, min(lengths.z - 1, floor((pos.z + extent.z) / zoning)));
+    var row = this.blocked[x * lengths.y + y];
+    var near = radius > zoning || !row ? null : row[z];
+    var obstacle = null;
+    var depth = 0.0, into = 0.0;
+
+    if (radius <= zoning && !near && !this.planes) return false; //nothing close by
+    for (var o = 0; o < obstacles.length; o++) {
+        obstacle = obstacles[o];
+        if (radius <= zoning && obstacle.shape !== 'plane' && (!near || near.indexOf(o) < 0)) continue;//not close by
+        depth = radius - obstacle.distance(pos, normal);
+        if (depth <= 0) continue;//not touching
+
+        if (obstacle.absorb && !keep && monad.getMass() === 1) {
+            this.stats.ledger.destroyed++;
+            monad.nullify();
+            return true;
+        }
+
+        into = vel.x * normal.x + vel.y * normal.y + vel.z * normal.z;
+        if (into < 0) { //reflect velocity off the surface
+            vel.x -= 2 * into * normal.x;
+            vel.y -= 2 * into * normal.y;
+            vel.z -= 2 * into * normal.z;
+        }
+        pos.x += normal.x * depth; pos.y += normal.y * depth; pos.z += normal.z * depth;
+    }
+    return false;
+}
+
+/**
+ * Records a collision that was found between two monads in the statistics: the tick the two
+ * tracked monads (0 and 1) first collide.
+ *
+ * @param {Monad} monad the monad whose collision was checked
+ * @param {Monad} other the monad it collides with
+ */
+Zones.prototype.recordCollision = function(monad, other)
+{   //memory references
+    var events = this.stats.events;
+    var index = monad.index;
+
+    if ((index === 0 || other.index === 0) && (index === 1 || other.index === 1)) {
+        if (events.collision < 0) events.collision = this.stats.tick;
+        if (this.controls.generation.world.strict && !this.stats.maximum.bonds) debug("always","0 <-> 1 Collision: " + this.stats.tick);
+    }
+}
+
+
+
+/**************************************************************/
+/**************************************************************/
+/*******************          FIELD         *******************/
+/**************************************************************/
+/**************************************************************/
+
+/**
+ * Updates the zone field once all monads have been processed for the tick: every value decays by
+ * the field's decay rate, then every monad deposits into its own zone what the field is made of--
+ * its charge (attractons minus repulsons), its mass, or, for flux, 1 for every quanta that has not
+ * yet escaped the monad that emitted it. The field is dropped when its source is none.
+ *
+ * Only the rows of zones the field is in are kept: a row is added when a monad first deposits
+ * into it and dropped once every value along it has faded below the controls' granularity, so
+ * the zones no monad has been in for a while cost nothing. The largest magnitude is kept up with
+ * as values decay and are deposited rather than searched for; where a deposit cancels out the
+ * largest value, it is therefore a little too large until the next update.
+ */
+Zones.prototype.updateField = function()
+{   //memory references
+    var abs = Math.abs;
+    var control = this.controls.dynamic.field;
+    var source = control.source;
+    var floor = this.controls.constant.granularity;
+    var monads = this.monads;
+    var lengths = this.lengths;
+
+    //local variables
+    var field = this.field;
+    var live = this.fieldRows;
+    var keep = 1 - control.decay;
+    var monad = null, quanta = null, zone = null, row = null;
+    var faded = true;
+    var max = 0.0;
+    var i = 0, r = 0, z = 0;
+
+    if (source === 'none') {
+        this.field = null;
+        this.fieldRows = [];
+        this.fieldMax = 0;
+        return;
+    }
+    if (!field) field = this.field = new Array(lengths.x * lengths.y).fill(null);
+
+    for (r = 0; r < live.length; r++) {
+        row = field[live[r]];
+        faded = true;
+        for (z = 0; z < row.length; z++) {
+            row[z] *= keep;
+            if (abs(row[z]) >= floor) faded = false;
+            max = Math.max(max, abs(row[z]));
+        }
+        if (faded) { //drop the row, swapping the last live row into its place
+            field[live[r]] = null;
+            live[r--] = live[live.length - 1];
+            live.pop();
+        }
+    }
+
+    for (var p = 0; p < monads.length; p++) {
+        monad = monads[p];
+        quanta = monad.quanta;
+        zone = monad.zone;
+        if (quanta.radius === 0 || zone.i < 1) continue;//nonexistent or zoneless
+        if (source === 'flux' && quanta.countdown >= 0) continue;//flux: only recently emitted quanta
+        i = zone.x * lengths.y + zone.y;
+        row = field[i];
+        if (!row) {
+            row = field[i] = new Float64Array(lengths.z);
+            live.push(i);
+        }
+        if (source === 'charge') row[zone.z] += quanta.attractons - quanta.repulsons;
+        else if (source === 'mass') row[zone.z] += monad.getMass();
+        else row[zone.z]++;
+        max = Math.max(max, abs(row[zone.z]));
+    }
+    this.fieldMax = max;
+}
+
+/**
+ * Returns the zone field's value at the zone the given steps away from the given zone along one
+ * axis (only one of dx, dy, and dz is nonzero), wrapping around the world if it is a toroid and
+ * taking the given zone's own value where there is no zone there (see getGradient).
+ *
+ * @param {Object} zone     the zone to step from, as { x, y, z }
+ * @param {int} dx          the steps along x
+ * @param {int} dy          the steps along y
+ * @param {int} dz          the steps along z
+ *
+ * @return {float} the field's value at the zone stepped to
+ */
+Zones.prototype.getFieldStep = function(zone, dx, dy, dz)
+{   //memory references
+    var lengths = this.lengths;
+
+    //local variables
+    var x = zone.x + dx, y = zone.y + dy, z = zone.z + dz;
+    var row = null;
+
+    if (this.toroid) {
+        x = (x + lengths.x) % lengths.x;
+        y = (y + lengths.y) % lengths.y;
+        z = (z + lengths.z) % lengths.z;
+    } else if (x < 0 || y < 0 || z < 0 || x >= lengths.x || y >= lengths.y || z >= lengths.z)
+        x = zone.x, y = zone.y, z = zone.z;
+    row = this.field[x * lengths.y + y];
+    return row ? row[z] : 0;
+}
+
+/**
+ * Sets the given vector to the gradient of the zone field at the given monad's zone, relative to
+ * the largest magnitude among the monad's zone and its six neighbors (so no component exceeds 1
+ * in magnitude, however strong or faint the field is around the monad). Each component is the
+ * difference between the zones on either side of the monad's along that axis (see getFieldStep).
+ *
+ * @param {Monad} monad         the monad whose zone to take the gradient at
+ * @param {Vector3} gradient    the vector to set
+ *
+ * @return {Vector3} the gradient, passed for quick access
+ */
+Zones.prototype.getGradient = function(monad, gradient)
+{   //memory references
+    var abs = Math.abs;
+    var zone = monad.zone;
+
+    //local variables
+    var px = 0.0, nx = 0.0, py = 0.0, ny = 0.0, pz = 0.0, nz = 0.0;
+    var max = 0.0;
+
+    if (!this.field || !this.fieldMax || zone.i < 1) return gradient.set(0, 0, 0);
+    px = this.getFieldStep(zone, 1, 0, 0); nx = this.getFieldStep(zone, -1, 0, 0);
+    py = this.getFieldStep(zone, 0, 1, 0); ny = this.getFieldStep(zone, 0, -1, 0);
+    pz = this.getFieldStep(zone, 0, 0, 1); nz = this.getFieldStep(zone, 0, 0, -1);
+    max = Math.max(abs(this.getFieldStep(zone, 0, 0, 0)), abs(px), abs(nx), abs(py), abs(ny), abs(pz), abs(nz));
+
+    if (!max) return gradient.set(0, 0, 0);
+    return gradient.set((px - nx) / (2 * max), (py - ny) / (2 * max), (pz - nz) / (2 * max));
+}
@@ -0,0 +1,71 @@
+/**
+ * Emergence Simulation System
+ * @author Marceline Peters / https://github.com/marcinas
+ * see readme for additional credits
+ */
+
+
+
+/**************************************************************/
+/**************************************************************/
+/*******************       CONTINUOUS       *******************/
+/**************************************************************/
+/**************************************************************/
+
+// Node only: checks that continuous collisions (see Zones.sweep) catch a quanta crossing a monad
+// within one tick, whichever of the two is updated first.
+//
+//      node test/continuous.js
+
+var assert = require('assert');
+var headless = require('../simulation/headless.js');
+
+/**
+ * Runs one tick of a world holding only a quanta at x = -100 moving +200 along x and a monad of
+ * radius about 32 at rest at the origin, with continuous collisions on and quanta absorption as
+ * research mode has it, and returns whether the monad absorbed the quanta.
+ *
+ * @param {int} quanta      the index of the quanta
+ * @param {int} monad       the index of the monad
+ * @param {boolean} sync    whether the monads are updated all at once (see synchrony.js)
+ *
+ * @return {boolean} true if the quanta was absorbed
+ */
+function absorbed(quanta, monad, sync)
+{   //local variables
+    var simulation = headless.createSimulation({ seed: 42, quiet: true, mode: 'research' });
+    var toggle = simulation.controls.dynamic.toggle;
+    var monads = simulation.monads;
+    var mass = 0;
+
+    /** Sets the particle to the given mass, position along x, and velocity along x */
+    function place(particle, amount, x, vx) {
+        particle.quanta.attractons = amount;
+        particle.updateRadius();
+        particle.position.set(x, 0, 0);
+        particle.velocity.set(vx, 0, 0);
+        simulation.zones.updateZone(particle);
+    }
+
+    toggle.continuous = true;
+    toggle.emission = false;
+    toggle.synchronous = sync;
+    simulation.controls.dynamic.maxSpeed = 300;
+    for (var p = 0; p < monads.length; p++)
+        if (monads[p].quanta.radius > 0) monads[p].nullify();
+    headless.run(simulation, 2);//past the first ticks, which don't move monads
+
+    place(monads[quanta], 1, -100, 200);
+    place(monads[monad], 30000, 0, 0);
+    assert(monads[monad].quanta.radius > 30 && monads[monad].quanta.radius < 34);
+    mass = monads[monad].getMass();
+
+    headless.run(simulation, 1);
+    return monads[quanta].quanta.radius === 0 && monads[monad].getMass() === mass + 1;
+}
+
+assert(absorbed(1, 0, false), "quanta updated after the monad passed through it");
+assert(absorbed(0, 1, false), "quanta updated before the monad passed through it");
+assert(absorbed(1, 0, true), "quanta passed through the monad when updated all at once");
+assert(absorbed(0, 1, true), "quanta passed through the monad when updated all at once");
+console.log("continuous: ok");
@@ -0,0 +1,83 @@
+/**
+ * Emergence Simulation System
+ * @author Marceline Peters / https://github.com/marcinas
+ * see readme for additional credits
+ */
+
+
+
+/**************************************************************/
+/**************************************************************/
+/*******************         LEDGER         *******************/
+/**************************************************************/
+/**************************************************************/
+
+// Node only: checks that the ledger (see Statistics.audit) accounts for every quanta, with no
+// drift, in runs that take quanta out of the world every way they can leave it: vanishing past
+// the walls, being cleared, annihilating, and being displaced (and some reabsorbed) to make room
+// for emissions, whether updated one after another or all at once.
+//
+//      node test/ledger.js
+
+var assert = require('assert');
+var headless = require('../simulation/headless.js');
+
+/**
+ * Runs a world for the given ticks with the given controls, and returns it.
+ *
+ * @param {string} mode         the simulation mode (see headless.MODES)
+ * @param {int} maximum         the maximum particles
+ * @param {int} ticks           how many ticks to run
+ * @param {boolean} sync        whether the monads are updated all at once (see synchrony.js)
+ * @param {function} setup      called with the controls to set before the run starts
+ *
+ * @return {Emergence} the simulation, the given ticks on
+ */
+function account(mode, maximum, ticks, sync, setup)
+{   //local variables
+    var simulation = headless.createSimulation({ seed: 3, quiet: true, mode: mode, maximum: maximum });
+
+    setup(simulation.controls);
+    simulation.controls.dynamic.toggle.synchronous = sync;
+    simulation.restartSimulation(simulation.id);
+    return headless.run(simulation, ticks);
+}
+
+/**
+ * Checks that the ledger of the simulation balances: its mass is its initial mass less the quanta
+ * destroyed and displaced, plus those reabsorbed, and nothing drifted.
+ *
+ * @param {Emergence} simulation    the simulation
+ * @param {string} what             the run, for the failure messages
+ */
+function balanced(simulation, what)
+{
+    var ledger = simulation.stats.ledger;
+    assert.strictEqual(ledger.drift, 0, "drift, " + what);
+    assert.strictEqual(ledger.attractons + ledger.repulsons + ledger.others,
+                       ledger.initial - ledger.destroyed - ledger.displaced + ledger.reabsorbed, "unbalanced, " + what);
+}
+
+[false, true].forEach(function(sync) {
+    var order = sync ? "all at once" : "one after another";
+    var vanished = account('clump', 4096, 150, sync, function(controls) { controls.generation.world.boundary = 'vanish'; });
+    var annihilated = account('flat', 4096, 150, sync, function(controls) { controls.dynamic.rules.monadMonad = 'annihilate'; });
+    var displaced = account('research', 256, 300, sync, function(controls) {});
+    var destroyed = 0;
+
+    balanced(vanished, "vanishing, " + order);
+    assert(vanished.stats.ledger.destroyed > 0, "nothing vanished, " + order);
+    destroyed = vanished.stats.ledger.destroyed;
+    vanished.clearQuanta();
+    headless.run(vanished, 1);
+    balanced(vanished, "cleared, " + order);
+    assert(vanished.stats.ledger.destroyed > destroyed, "nothing cleared, " + order);
+
+    balanced(annihilated, "annihilating, " + order);
+    assert(annihilated.stats.ledger.destroyed > 0, "nothing annihilated, " + order);
+
+    balanced(displaced, "displacing, " + order);
+    assert(displaced.stats.ledger.displaced > 0, "nothing displaced, " + order);
+    assert(displaced.stats.ledger.reabsorbed > 0, "nothing reabsorbed, " + order);
+});
+console.log("ledger: ok");
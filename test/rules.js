@@ -0,0 +1,72 @@
+/**
+ * Emergence Simulation System
+ * @author Marceline Peters / https://github.com/marcinas
+ * see readme for additional credits
+ */
+
+
+
+/**************************************************************/
+/**************************************************************/
+/*******************          RULES         *******************/
+/**************************************************************/
+/**************************************************************/
+
+// Node only: checks the collision rules (see Zones.getRule): that the 'bond' rule only bonds
+// while bonding is on (bonds are never checked otherwise), and that unknown rules and weights are
+// corrected as the controls are read rather than thrown on mid-tick.
+//
+//      node test/rules.js
+
+var assert = require('assert');
+var headless = require('../simulation/headless.js');
+
+/**
+ * Runs a small flat world, where monads heavier than quanta soon collide, with the given collision
+ * rules and returns it.
+ *
+ * @param {Object} rules        the collision rules to set (see controls.dynamic.rules)
+ * @param {boolean} bonding     whether bonding is on
+ * @param {boolean} sync        whether the monads are updated all at once (see synchrony.js)
+ *
+ * @return {Emergence} the simulation, 100 ticks on
+ */
+function collide(rules, bonding, sync)
+{   //local variables
+    var simulation = headless.createSimulation({ seed: 8, quiet: true, mode: 'flat', maximum: 4096 });
+    var dynamic = simulation.controls.dynamic;
+
+    for (var kind in rules) dynamic.rules[kind] = rules[kind];
+    dynamic.toggle.bonding = bonding;
+    dynamic.toggle.synchronous = sync;
+    simulation.restartSimulation();
+    return headless.run(simulation, 100);
+}
+
+/**
+ * Returns how many monads of the simulation hold bonds.
+ *
+ * @param {Emergence} simulation    the simulation
+ *
+ * @return {int} the monads with bonds
+ */
+function bonded(simulation)
+{
+    return simulation.monads.filter(function(monad) { return monad.bonds.length > 0; }).length;
+}
+
+[false, true].forEach(function(sync) {
+    var mode = sync ? "all at once" : "one after another";
+    var off = collide({ monadMonad: 'bond' }, false, sync);
+    var on = collide({ monadMonad: 'bond' }, true, sync);
+    assert.strictEqual(off.stats.events.bonds, 0, "bonded with bonding off, " + mode);
+    assert.strictEqual(bonded(off), 0, "monads hold bonds with bonding off, " + mode);
+    assert.strictEqual(off.stats.molecules.count, 0, "molecules with bonding off, " + mode);
+    assert(on.stats.events.bonds > 0, "never bonded with bonding on, " + mode);
+});
+
+var corrected = collide({ monadMonad: 'explode', quantaMonad: { bounce: 1, shatter: 3, merge: -1 }, quantaQuanta: { fuse: 1 } }, true, false);
+assert.strictEqual(corrected.controls.dynamic.rules.monadMonad, 'auto');
+assert.deepStrictEqual(corrected.controls.dynamic.rules.quantaMonad, { bounce: 1 });
+assert.strictEqual(corrected.controls.dynamic.rules.quantaQuanta, 'auto');
+console.log("rules: ok");
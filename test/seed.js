@@ -0,0 +1,68 @@
+/**
+ * Emergence Simulation System
+ * @author Marceline Peters / https://github.com/marcinas
+ * see readme for additional credits
+ */
+
+
+
+/**************************************************************/
+/**************************************************************/
+/*******************          SEED          *******************/
+/**************************************************************/
+/**************************************************************/
+
+// Node only: checks that runs are replayable from their seed (see seedRandom): two simulations
+// started with the same seed, and a simulation restarted with its own id, go through the very
+// same trajectory tick for tick, while another seed goes elsewhere.
+//
+//      node test/seed.js
+
+var assert = require('assert');
+var crypto = require('crypto');
+var headless = require('../simulation/headless.js');
+
+/**
+ * Runs the simulation for the given ticks and returns its trajectory: a digest of every monad's
+ * position, velocity, and composition after every tick.
+ *
+ * @param {Emergence} simulation    the simulation
+ * @param {int} ticks               how many ticks to run
+ *
+ * @return {string[]} the digest of every tick
+ */
+function trajectory(simulation, ticks)
+{   //local variables
+    var digests = [];
+    var hash = null, monad = null;
+
+    for (var t = 0; t < ticks; t++) {
+        headless.run(simulation, 1);
+        hash = crypto.createHash('md5');
+        for (var p = 0; p < simulation.MAX; p++) {
+            monad = simulation.monads[p];
+            hash.update([monad.position.x, monad.position.y, monad.position.z,
+                         monad.velocity.x, monad.velocity.y, monad.velocity.z,
+                         monad.quanta.attractons, monad.quanta.repulsons, monad.quanta.radius].join());
+        }
+        digests.push(hash.digest('hex'));
+    }
+    return digests;
+}
+
+[false, true].forEach(function(sync) {
+    var mode = sync ? "all at once" : "one after another";
+    var simulations = [7, 7, 8].map(function(seed) {
+        var simulation = headless.createSimulation({ seed: seed, quiet: true, mode: 'clump', maximum: 4096 });
+        simulation.controls.dynamic.toggle.synchronous = sync;
+        simulation.restartSimulation(simulation.id);
+        return simulation;
+    });
+    var first = trajectory(simulations[0], 100);
+
+    assert.deepStrictEqual(trajectory(simulations[1], 100), first, "same seed, different trajectory, " + mode);
+    simulations[0].restartSimulation(simulations[0].id);
+    assert.deepStrictEqual(trajectory(simulations[0], 100), first, "restarted with its id, different trajectory, " + mode);
+    assert.notStrictEqual(trajectory(simulations[2], 100)[99], first[99], "different seed, same trajectory, " + mode);
+});
+console.log("seed: ok");
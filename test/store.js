@@ -0,0 +1,67 @@
+/**
+ * Emergence Simulation System
+ * @author Marceline Peters / https://github.com/marcinas
+ * see readme for additional credits
+ */
+
+
+
+/**************************************************************/
+/**************************************************************/
+/*******************         STORE          *******************/
+/**************************************************************/
+/**************************************************************/
+
+// Node only: checks that packed monads (see store.js) go through the very same run as unpacked
+// ones: the same seed leaves every monad with the same position, velocity, composition, impact,
+// and bonds, and the run with the same statistics, whether updated one after another or all at
+// once.
+//
+//      node test/store.js
+
+var assert = require('assert');
+var headless = require('../simulation/headless.js');
+
+/**
+ * Runs a world for the given ticks, packed or not, and returns the state of every monad and the
+ * run's statistics.
+ *
+ * @param {string} mode         the simulation mode (see headless.MODES)
+ * @param {int} ticks           how many ticks to run
+ * @param {boolean} packed      whether the monads are packed
+ * @param {boolean} sync        whether the monads are updated all at once (see synchrony.js)
+ *
+ * @return {Object} { monads, events, ledger }: the state of every monad and the run's statistics
+ */
+function state(mode, ticks, packed, sync)
+{   //local variables
+    var simulation = headless.createSimulation({ seed: 42, quiet: true, mode: mode, maximum: 4096 });
+    var monads = [];
+    var monad = null;
+
+    simulation.controls.generation.packed = packed;
+    simulation.controls.dynamic.toggle.synchronous = sync;
+    simulation.restartSimulation(simulation.id);
+    headless.run(simulation, ticks);
+    assert.strictEqual(!!simulation.store, packed);
+
+    for (var p = 0; p < simulation.MAX; p++) {
+        monad = simulation.monads[p];
+        monads.push([monad.position.toArray(), monad.velocity.toArray(), monad.quanta.impact.toArray(),
+                     monad.quanta.attractons, monad.quanta.repulsons, Array.from(monad.quanta.others),
+                     monad.quanta.radius, monad.bonds.slice()].join(" "));
+    }
+    return { monads: monads, events: simulation.stats.events, ledger: simulation.stats.ledger };
+}
+
+[['clump', 300], ['flat', 300], ['research', 200]].forEach(function(run) {
+    [false, true].forEach(function(sync) {
+        var what = run[0] + " mode, " + (sync ? "all at once" : "one after another");
+        var unpacked = state(run[0], run[1], false, sync);
+        var packed = state(run[0], run[1], true, sync);
+        assert.deepStrictEqual(packed.monads, unpacked.monads, "packed monads differ, " + what);
+        assert.strictEqual(JSON.stringify(packed.events), JSON.stringify(unpacked.events), "packed events differ, " + what);
+        assert.strictEqual(JSON.stringify(packed.ledger), JSON.stringify(unpacked.ledger), "packed ledger differs, " + what);
+    });
+});
+console.log("store: ok");
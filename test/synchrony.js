@@ -0,0 +1,83 @@
+/**
+ * Emergence Simulation System
+ * @author Marceline Peters / https://github.com/marcinas
+ * see readme for additional credits
+ */
+
+
+
+/**************************************************************/
+/**************************************************************/
+/*******************       SYNCHRONY        *******************/
+/**************************************************************/
+/**************************************************************/
+
+// Node only: checks that a tick updated all at once (see synchrony.js) doesn't depend on the order
+// of the monads array. Three monads overlap in a row, A-B-C, and the monad-monad rule is 'merge':
+// whichever pair merges first claims B. One after another, that is the pair of whichever monad
+// comes first; all at once, it is always the more deeply overlapping pair, B-C, wherever the three
+// are in the array.
+//
+//      node test/synchrony.js
+
+var assert = require('assert');
+var headless = require('../simulation/headless.js');
+
+/**
+ * Runs one tick of a world holding only three monads of 1000 quanta at rest along x, A at -18, B
+ * at 0, and C at 16 (so that B overlaps C more than A), in the given slots of the monads array,
+ * and returns what became of them.
+ *
+ * @param {int[]} slots     the indexes of A, B, and C
+ * @param {boolean} sync    whether the monads are updated all at once
+ *
+ * @return {string[]} the mass, position, and velocity of every monad left, sorted
+ */
+function collide(slots, sync)
+{   //local variables
+    var simulation = headless.createSimulation({ seed: 42, quiet: true, mode: 'research' });
+    var dynamic = simulation.controls.dynamic;
+    var monads = simulation.monads;
+    var outcome = [];
+    var monad = null;
+
+    /** Sets the monad to 1000 quanta at rest at the given position along x */
+    function place(monad, x) {
+        monad.quanta.attractons = 1000;
+        monad.updateRadius();
+        monad.position.set(x, 0, 0);
+        monad.velocity.set(0, 0, 0);
+        simulation.zones.updateZone(monad);
+    }
+
+    dynamic.toggle.emission = false;
+    dynamic.toggle.synchronous = sync;
+    dynamic.rules.monadMonad = 'merge';
+    for (var p = 0; p < monads.length; p++)
+        if (monads[p].quanta.radius > 0) monads[p].nullify();
+    headless.run(simulation, 2);//past the first ticks, which don't move monads
+
+    place(monads[slots[0]], -18);
+    place(monads[slots[1]], 0);
+    place(monads[slots[2]], 16);
+    headless.run(simulation, 1);
+
+    for (p = 0; p < monads.length; p++) {
+        monad = monads[p];
+        if (monad.quanta.radius > 0)
+            outcome.push([monad.getMass(), monad.position.toArray().join(), monad.velocity.toArray().join()].join(" "));
+    }
+    return outcome.sort();
+}
+
+var orders = [[0, 1, 2], [0, 2, 1], [1, 0, 2], [1, 2, 0], [2, 0, 1], [2, 1, 0]];
+var synchronous = orders.map(function(slots) { return collide(slots, true); });
+var sequential = orders.map(function(slots) { return collide(slots, false); });
+
+assert.deepStrictEqual(synchronous[0], ["1000 -18,0,0 0,0,0", "2000 8,0,0 0,0,0"], "all at once, B didn't merge with C alone");
+synchronous.forEach(function(outcome, o) {
+    assert.deepStrictEqual(outcome, synchronous[0], "all at once, monads " + orders[o] + " differ from " + orders[0]);
+});
+assert(sequential.some(function(outcome) { return outcome.join() !== sequential[0].join(); }),
+       "one after another no longer depends on the order of the monads");
+console.log("synchrony: ok");
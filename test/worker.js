@@ -0,0 +1,124 @@
+/**
+ * Emergence Simulation System
+ * @author Marceline Peters / https://github.com/marcinas
+ * see readme for additional credits
+ */
+
+
+
+/**************************************************************/
+/**************************************************************/
+/*******************         WORKER         *******************/
+/**************************************************************/
+/**************************************************************/
+
+// Node only: checks that a simulation run in a web worker (see worker.js) is mirrored on the main
+// thread (see relay.js): the monads' positions, velocities, compositions, and bonds, and the bond
+// graph's molecule count and bond summary. The worker runs in a context of its own behind a
+// stand-in for Worker that passes messages as the browser would, copied and with their buffers
+// moved.
+//
+//      node test/worker.js
+
+var assert = require('assert');
+var fs = require('fs');
+var path = require('path');
+var vm = require('vm');
+var headless = require('../simulation/headless.js');
+
+/** Messages posted but not yet received, each { to, data } */
+var queue = [];
+
+/**
+ * Posts a message as the browser would: copied, with the transferred buffers moved, and received
+ * only once the poster is done (see deliver).
+ *
+ * @param {Object} to           the receiving end, whose onmessage is called with the message
+ * @param {Object} data         the message
+ * @param {Object[]} [transfer] the buffers to move rather than copy
+ */
+function post(to, data, transfer)
+{
+    queue.push({ to: to, data: structuredClone(data, { transfer: transfer || [] }) });
+}
+
+/** Receives every message posted so far, and those posted while receiving them */
+function deliver()
+{
+    while (queue.length) {
+        var message = queue.shift();
+        message.to.onmessage({ data: message.data });
+    }
+}
+
+/**
+ * The stand-in for Worker: runs the worker script in a context of its own.
+ *
+ * @param {string} script   the worker script, from the root of the site
+ */
+function Worker(script)
+{
+    var main = this;
+    var dir = path.join(__dirname, '..', path.dirname(script));
+    var context = this.context = vm.createContext({
+        console: { log: function() {}, warn: function() {}, error: console.error },
+        performance: performance,
+        postMessage: function(data, transfer) { post(main, data, transfer); },
+        importScripts: function() {
+            for (var s = 0; s < arguments.length; s++)
+                vm.runInContext(fs.readFileSync(path.join(dir, arguments[s]), 'utf8'), context, { filename: arguments[s] });
+        }
+    });
+    vm.runInContext(fs.readFileSync(path.join(dir, path.basename(script)), 'utf8'), context, { filename: script });
+}
+
+Worker.prototype.postMessage = function(data, transfer) { post(this.context, data, transfer); };
+Worker.prototype.terminate = function() {};
+
+/**
+ * Returns the given value in a form comparable across contexts, whose objects are never deeply
+ * equal to one another's.
+ *
+ * @param {*} value     the value
+ *
+ * @return {string} the value as JSON
+ */
+function same(value)
+{
+    return JSON.stringify(value);
+}
+
+var context = headless.createContext({ seed: 8, quiet: true, mode: 'flat', maximum: 4096 });
+var mirror = context.emergence;
+var simulation = null;
+
+context.Worker = Worker;
+vm.runInContext(fs.readFileSync(path.join(__dirname, '..', 'simulation', 'relay.js'), 'utf8'), context, { filename: 'relay.js' });
+mirror.controls.generation.monad.species = 'neutral';//further species to mirror
+mirror.restartSimulation();
+mirror.relay = new context.Relay(mirror);
+mirror.relay.restart(mirror.id);
+deliver();
+simulation = mirror.relay.worker.context.emergence;
+
+for (var t = 0; t < 150; t++) {
+    mirror.controls.step = true;
+    mirror.update();
+    deliver();
+}
+
+assert.strictEqual(mirror.stats.tick, simulation.stats.tick);
+assert(simulation.stats.events.bonds > 0, "no bonds to mirror");
+assert.strictEqual(mirror.stats.molecules.count, simulation.stats.molecules.count);
+assert.strictEqual(same(mirror.stats.molecules.summarize()), same(simulation.stats.molecules.summarize()));
+assert.strictEqual(same(mirror.stats.current.bonds), same(simulation.stats.molecules.summarize()));
+assert(simulation.monads.some(function(monad) { return monad.quanta.others[0] > 0; }), "no further species to mirror");
+for (var p = 0; p < mirror.MAX; p++) {
+    var monad = mirror.monads[p], real = simulation.monads[p];
+    assert.strictEqual(monad.quanta.attractons, real.quanta.attractons);
+    assert.strictEqual(same(Array.from(monad.quanta.others)), same(Array.from(real.quanta.others)));
+    assert.strictEqual(same(monad.bonds), same(real.bonds));
+    assert(monad.position.distanceTo(real.position) < 1e-3 * Math.max(1, real.position.length()), "position of monad " + p);
+    assert(monad.velocity.distanceTo(real.velocity) < 1e-3 * Math.max(1, real.velocity.length()), "velocity of monad " + p);
+}
+console.log("worker: ok");